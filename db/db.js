@@ -8,16 +8,53 @@ export const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY
 );
 
-export async function logSms(conversationId, phone, direction, msg, raw) {
+function maskSecrets(text, redact) {
+  return redact
+    .filter(Boolean)
+    .reduce((out, secret) => out.split(String(secret)).join('••••'), text);
+}
+
+// `redact` lists secrets (gate codes) that must never be stored in the log
+export async function logSms(
+  conversationId,
+  phone,
+  direction,
+  msg,
+  raw,
+  { redact = [], meta = {} } = {}
+) {
+  const mask = (text) => maskSecrets(text, redact);
+
   await supabase.from('sms_messages').insert({
     conversation_id: conversationId,
     driver_phone_e164: phone,
     direction,
-    message_body: msg,
-    raw_provider_payload: raw ? JSON.stringify(raw).substring(0, 8000) : null,
+    message_body: msg ? mask(msg) : msg,
+    raw_provider_payload: raw
+      ? mask(JSON.stringify(raw)).substring(0, 8000)
+      : null,
+    // Outbound only: message_type, message_class, segment_count, encoding,
+    // cost_estimate_cents (see sendSms)
+    ...meta,
   });
 }
 
+// Newest conversation for a phone (any state) – where replies get logged
+export async function latestConversationId(phone) {
+  const { data, error } = await supabase
+    .from('conversations')
+    .select('id')
+    .eq('driver_phone_e164', phone)
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Error loading latest conversation:', error);
+    return null;
+  }
+  return data && data[0] ? data[0].id : null;
+}
+
 export async function updateConversation(id, fields) {
   await supabase
     .from('conversations')
@@ -39,3 +76,625 @@ export async function deactivateActiveConversations(phone) {
     .eq('driver_phone_e164', phone)
     .eq('is_active', true);
 }
+
+// Driver's current (or next upcoming) paid booking – checkout day still counts
+export async function findCurrentConfirmedBooking(phone, todayIso) {
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('driver_phone_e164', phone)
+    .eq('status', 'confirmed')
+    .gte('end_date', todayIso)
+    .order('start_date', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    console.error('Error loading current booking:', error);
+    return null;
+  }
+
+  return data && data[0] ? data[0] : null;
+}
+
+// STATUS: current + upcoming bookings, paid or still inside their payment hold
+export async function listUpcomingBookings(phone, todayIso, limit = 5) {
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('driver_phone_e164', phone)
+    .in('status', ['confirmed', 'pending_payment'])
+    .gte('end_date', todayIso)
+    .order('start_date', { ascending: true })
+    .limit(limit * 2);
+
+  if (error) {
+    console.error('Error loading upcoming bookings:', error);
+    return [];
+  }
+
+  const now = Date.now();
+  return (data || [])
+    .filter(
+      (b) =>
+        b.status === 'confirmed' ||
+        (b.hold_expires_at && new Date(b.hold_expires_at).getTime() > now)
+    )
+    .slice(0, limit);
+}
+
+// ----- Check-in / check-out (ARRIVED / LEAVING) -----
+
+// Paid bookings overlapping fromIso..toIso with `openColumn` still unset.
+// ARRIVED/LEAVING pass a day either side of "today" because each lot has
+// its own date; the caller keeps the booking that covers its lot's today.
+async function findOpenBookingsAround(phone, fromIso, toIso, openColumn) {
+  const { data, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('driver_phone_e164', phone)
+    .eq('status', 'confirmed')
+    .lte('start_date', toIso)
+    .gte('end_date', fromIso)
+    .is(openColumn, null)
+    .order('start_date', { ascending: true })
+    .limit(5);
+
+  if (error) {
+    console.error(`Error loading bookings without ${openColumn}:`, error);
+    return [];
+  }
+
+  return data || [];
+}
+
+// Candidates for check-in: paid, not checked in yet
+export async function findBookingsToCheckIn(phone, fromIso, toIso) {
+  return findOpenBookingsAround(phone, fromIso, toIso, 'checked_in_at');
+}
+
+// Candidates for check-out: paid, not checked out yet (check-in optional)
+export async function findBookingsToCheckOut(phone, fromIso, toIso) {
+  return findOpenBookingsAround(phone, fromIso, toIso, 'checked_out_at');
+}
+
+// ----- Driver profiles (returning drivers skip name/truck/plate) -----
+
+const profileFields =
+  'driver_full_name, truck_type, truck_make_model, license_plate_raw';
+
+export async function getDriverProfile(phone) {
+  const { data: profile, error } = await supabase
+    .from('driver_profiles')
+    .select(profileFields)
+    .eq('driver_phone_e164', phone)
+    .maybeSingle();
+
+  if (error) console.error('Error loading driver profile:', error);
+  if (profile && profile.truck_make_model && profile.license_plate_raw) {
+    return profile;
+  }
+
+  // Drivers who booked before profiles existed (or whose row only holds a
+  // locale – see setDriverLocale): fall back to their last paid booking
+  const { data: rows, error: bookingErr } = await supabase
+    .from('bookings')
+    .select(profileFields)
+    .eq('driver_phone_e164', phone)
+    .in('status', ['confirmed', 'refunded', 'cancelled'])
+    .not('confirmed_at', 'is', null)
+    .order('confirmed_at', { ascending: false })
+    .limit(1);
+
+  if (bookingErr) console.error('Error loading past booking:', bookingErr);
+  const last = rows && rows[0];
+  if (!last || !last.truck_make_model || !last.license_plate_raw) return null;
+
+  await upsertDriverProfile({ driver_phone_e164: phone, ...last });
+  return last;
+}
+
+export async function upsertDriverProfile(booking) {
+  const { error } = await supabase.from('driver_profiles').upsert(
+    {
+      driver_phone_e164: booking.driver_phone_e164,
+      driver_full_name: booking.driver_full_name,
+      truck_type: booking.truck_type,
+      truck_make_model: booking.truck_make_model,
+      license_plate_raw: booking.license_plate_raw,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: 'driver_phone_e164' }
+  );
+
+  if (error) console.error('Error saving driver profile:', error);
+}
+
+// ----- Driver locale (ESPAÑOL / ENGLISH preference) -----
+
+export async function getDriverLocale(phone) {
+  const { data, error } = await supabase
+    .from('driver_profiles')
+    .select('locale')
+    .eq('driver_phone_e164', phone)
+    .maybeSingle();
+
+  if (error) console.error('Error loading driver locale:', error);
+  return (data && data.locale) || null;
+}
+
+export async function setDriverLocale(phone, locale) {
+  const nowIso = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('driver_profiles')
+    .upsert(
+      { driver_phone_e164: phone, locale, updated_at: nowIso },
+      { onConflict: 'driver_phone_e164' }
+    );
+  if (error) console.error('Error saving driver locale:', error);
+
+  // Switch any in-flight conversation too
+  await supabase
+    .from('conversations')
+    .update({ locale, updated_at: nowIso })
+    .eq('driver_phone_e164', phone)
+    .eq('is_active', true);
+}
+
+export async function getConversationLocale(conversationId) {
+  if (!conversationId) return null;
+
+  const { data } = await supabase
+    .from('conversations')
+    .select('locale')
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  return (data && data.locale) || null;
+}
+
+// ----- Waitlist (sold-out lots, per lot + arrival date) -----
+
+// Returns { entry, position, already } – position is 1-based among waiting drivers
+export async function joinWaitlist({ phone, lotId, stayDate, conversationId }) {
+  const { data: existing } = await supabase
+    .from('waitlist_entries')
+    .select('*')
+    .eq('driver_phone_e164', phone)
+    .eq('lot_id', lotId)
+    .eq('stay_date', stayDate)
+    .in('status', ['waiting', 'offered'])
+    .limit(1);
+
+  let entry = existing && existing[0] ? existing[0] : null;
+  const already = Boolean(entry);
+
+  if (!entry) {
+    const { data, error } = await supabase
+      .from('waitlist_entries')
+      .insert({
+        driver_phone_e164: phone,
+        lot_id: lotId,
+        stay_date: stayDate,
+        conversation_id: conversationId,
+        status: 'waiting',
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error joining waitlist:', error);
+      return null;
+    }
+    entry = data;
+  } else if (conversationId && entry.conversation_id !== conversationId) {
+    // Offers copy details from this conversation, so point at the latest one
+    await supabase
+      .from('waitlist_entries')
+      .update({
+        conversation_id: conversationId,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', entry.id);
+  }
+
+  const { count } = await supabase
+    .from('waitlist_entries')
+    .select('*', { count: 'exact', head: true })
+    .eq('lot_id', lotId)
+    .eq('stay_date', stayDate)
+    .eq('status', 'waiting')
+    .lte('created_at', entry.created_at);
+
+  return { entry, position: count || 1, already };
+}
+
+export async function leaveWaitlist(phone) {
+  const { error } = await supabase
+    .from('waitlist_entries')
+    .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+    .eq('driver_phone_e164', phone)
+    .eq('status', 'waiting');
+
+  if (error) console.error('Error leaving waitlist:', error);
+}
+
+// ----- Rate limiting (shared across instances) -----
+
+// Records this message and returns how many of `kind` fall in the window
+// (including it), or null if the store couldn't be reached
+export async function recordRateLimitHit(address, kind, windowSeconds) {
+  const now = Date.now();
+  const { error: insErr } = await supabase
+    .from('rate_limit_hits')
+    .insert({ address, kind, created_at: new Date(now).toISOString() });
+
+  if (insErr) {
+    console.error('Error recording rate limit hit:', insErr);
+    return null;
+  }
+
+  const { count, error } = await supabase
+    .from('rate_limit_hits')
+    .select('*', { count: 'exact', head: true })
+    .eq('address', address)
+    .eq('kind', kind)
+    .gt('created_at', new Date(now - windowSeconds * 1000).toISOString());
+
+  if (error) {
+    console.error('Error counting rate limit hits:', error);
+    return null;
+  }
+  return count || 0;
+}
+
+export async function getRateLimitState(address) {
+  const { data, error } = await supabase
+    .from('rate_limit_state')
+    .select('*')
+    .eq('address', address)
+    .maybeSingle();
+
+  if (error) console.error('Error loading rate limit state:', error);
+  return data || null;
+}
+
+export async function saveRateLimitState(address, fields) {
+  const { error } = await supabase
+    .from('rate_limit_state')
+    .upsert(
+      { address, ...fields, updated_at: new Date().toISOString() },
+      { onConflict: 'address' }
+    );
+
+  if (error) console.error('Error saving rate limit state:', error);
+}
+
+// Hits older than the window are never counted again
+export async function pruneRateLimitHits(olderThanSeconds) {
+  const { error } = await supabase
+    .from('rate_limit_hits')
+    .delete()
+    .lt(
+      'created_at',
+      new Date(Date.now() - olderThanSeconds * 1000).toISOString()
+    );
+
+  if (error) console.error('Error pruning rate limit hits:', error);
+}
+
+// ----- Inbound dedupe (MessageSid) -----
+
+// First sight of a message id claims it; later copies get the stored reply
+// (or nothing while the first copy is still being handled)
+export async function claimInboundMessage(messageId, address) {
+  const { error } = await supabase.from('inbound_messages').insert({
+    message_sid: messageId,
+    from_address: address,
+    status: 'processing',
+  });
+
+  if (!error) return { duplicate: false };
+
+  // 23505 = unique violation on message_sid; anything else → handle it anyway
+  if (error.code !== '23505') {
+    console.error('Error recording inbound message:', error);
+    return { duplicate: false };
+  }
+
+  const { data } = await supabase
+    .from('inbound_messages')
+    .select('status, reply_text')
+    .eq('message_sid', messageId)
+    .maybeSingle();
+
+  return {
+    duplicate: true,
+    reply: data && data.status === 'done' ? data.reply_text || '' : '',
+  };
+}
+
+// The stored reply is masked like the SMS log – a replayed copy gets "••••"
+// where a gate code was, never the code itself
+export async function completeInboundMessage(
+  messageId,
+  replyText,
+  { redact = [] } = {}
+) {
+  const { error } = await supabase
+    .from('inbound_messages')
+    .update({
+      status: 'done',
+      reply_text: replyText ? maskSecrets(replyText, redact) : '',
+      completed_at: new Date().toISOString(),
+    })
+    .eq('message_sid', messageId);
+
+  if (error) console.error('Error completing inbound message:', error);
+}
+
+// ----- SMS opt-outs (STOP / START), keyed by phone -----
+
+// true / false, or null when the registry couldn't be read
+export async function isOptedOut(phone) {
+  const { data, error } = await supabase
+    .from('sms_opt_outs')
+    .select('opted_out')
+    .eq('phone_e164', phone)
+    .limit(1);
+
+  if (error) {
+    console.error('Error reading opt-out registry:', error);
+    return null;
+  }
+  return Boolean(data && data[0] && data[0].opted_out);
+}
+
+export async function setOptOut(phone, optedOut, keyword) {
+  const nowIso = new Date().toISOString();
+  const { error } = await supabase.from('sms_opt_outs').upsert(
+    {
+      phone_e164: phone,
+      opted_out: optedOut,
+      keyword,
+      ...(optedOut ? { opted_out_at: nowIso } : { opted_in_at: nowIso }),
+      updated_at: nowIso,
+    },
+    { onConflict: 'phone_e164' }
+  );
+
+  if (error) console.error('Error updating opt-out registry:', error);
+  return !error;
+}
+
+// ----- Support threads (SUPPORT → human operator, bot paused) -----
+
+// Threads nobody has touched for this long stop pausing the bot
+const SUPPORT_IDLE_HOURS = Number(process.env.SUPPORT_IDLE_HOURS || 24);
+
+function supportIdleCutoffIso() {
+  return new Date(Date.now() - SUPPORT_IDLE_HOURS * 3600_000).toISOString();
+}
+
+export async function findOpenSupportThread(phone) {
+  const { data, error } = await supabase
+    .from('support_threads')
+    .select('*')
+    .eq('driver_phone_e164', phone)
+    .eq('status', 'open')
+    .gte('last_message_at', supportIdleCutoffIso())
+    .order('opened_at', { ascending: false })
+    .limit(1);
+
+  if (error) console.error('Error loading support thread:', error);
+  return data && data[0] ? data[0] : null;
+}
+
+export async function findSupportThreadByTicket(ticket) {
+  const { data, error } = await supabase
+    .from('support_threads')
+    .select('*')
+    .eq('ticket', ticket)
+    .eq('status', 'open')
+    .gte('last_message_at', supportIdleCutoffIso())
+    .limit(1);
+
+  if (error) console.error('Error loading support ticket:', error);
+  return data && data[0] ? data[0] : null;
+}
+
+export async function listOpenSupportThreads() {
+  const { data, error } = await supabase
+    .from('support_threads')
+    .select('*')
+    .eq('status', 'open')
+    .gte('last_message_at', supportIdleCutoffIso())
+    .order('opened_at', { ascending: true });
+
+  if (error) console.error('Error listing support threads:', error);
+  return data || [];
+}
+
+export async function createSupportThread({ phone, ticket, conversationId }) {
+  const nowIso = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('support_threads')
+    .insert({
+      ticket,
+      driver_phone_e164: phone,
+      conversation_id: conversationId,
+      status: 'open',
+      opened_at: nowIso,
+      last_message_at: nowIso,
+    })
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error creating support thread:', error);
+    return null;
+  }
+  return data;
+}
+
+export async function touchSupportThread(threadId) {
+  const nowIso = new Date().toISOString();
+  await supabase
+    .from('support_threads')
+    .update({ last_message_at: nowIso, updated_at: nowIso })
+    .eq('id', threadId);
+}
+
+// Close one thread by id, or every open thread for a phone (STOP)
+export async function closeSupportThreads({ threadId, phone }) {
+  const nowIso = new Date().toISOString();
+  let query = supabase
+    .from('support_threads')
+    .update({ status: 'closed', closed_at: nowIso, updated_at: nowIso })
+    .eq('status', 'open');
+
+  query = threadId
+    ? query.eq('id', threadId)
+    : query.eq('driver_phone_e164', phone);
+
+  const { error } = await query;
+  if (error) console.error('Error closing support thread:', error);
+}
+
+// ----- Gate access codes -----
+//
+// lots.access_code_mode:
+//   static – lots.access_code, same for everyone
+//   daily  – lot_daily_access_codes row per date (lot time), loaded by the owner
+//   pool   – one unused access_code_pool row claimed per booking
+// Returns { code, validOn? } or null when the lot has no code for this booking.
+
+export async function getAccessCode(lot, booking, onDate) {
+  switch (lot?.access_code_mode) {
+    case 'static':
+      return lot.access_code ? { code: lot.access_code } : null;
+
+    case 'daily': {
+      const { data, error } = await supabase
+        .from('lot_daily_access_codes')
+        .select('code')
+        .eq('lot_id', lot.id)
+        .eq('valid_on', onDate)
+        .limit(1);
+
+      if (error) console.error('Error loading daily access code:', error);
+      return data && data[0] ? { code: data[0].code, validOn: onDate } : null;
+    }
+
+    case 'pool':
+      return claimPoolAccessCode(lot, booking);
+
+    default:
+      return null;
+  }
+}
+
+async function claimPoolAccessCode(lot, booking) {
+  const { data: mine } = await supabase
+    .from('access_code_pool')
+    .select('code')
+    .eq('booking_id', booking.id)
+    .limit(1);
+
+  if (mine && mine[0]) return { code: mine[0].code };
+
+  // Claim the oldest free code; retry if another booking grabbed it first
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const { data: free, error } = await supabase
+      .from('access_code_pool')
+      .select('id')
+      .eq('lot_id', lot.id)
+      .is('booking_id', null)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) {
+      console.error('Error loading access code pool:', error);
+      return null;
+    }
+    if (!free || !free[0]) return null;
+
+    const { data: claimed } = await supabase
+      .from('access_code_pool')
+      .update({ booking_id: booking.id, assigned_at: new Date().toISOString() })
+      .eq('id', free[0].id)
+      .is('booking_id', null)
+      .select('code');
+
+    if (claimed && claimed[0]) return { code: claimed[0].code };
+  }
+
+  return null;
+}
+
+// Cancelled or released bookings hand their pool codes back for the next one
+export async function releasePoolAccessCodes(bookingIds) {
+  if (!bookingIds.length) return;
+
+  const { error } = await supabase
+    .from('access_code_pool')
+    .update({ booking_id: null, assigned_at: null })
+    .in('booking_id', bookingIds);
+
+  if (error) console.error('Error releasing pool access codes:', error);
+}
+
+// ----- Lot message templates -----
+//
+// lot_message_templates: one override per (lot_id, template_key, locale) –
+// see templates/index.js. null = no override (or it couldn't be read).
+
+export async function getLotTemplate(lotId, key, locale) {
+  const { data, error } = await supabase
+    .from('lot_message_templates')
+    .select('body')
+    .eq('lot_id', lotId)
+    .eq('template_key', key)
+    .eq('locale', locale)
+    .limit(1);
+
+  if (error) {
+    console.error('Error loading lot template:', error);
+    return null;
+  }
+  return data && data[0] ? data[0].body : null;
+}
+
+export async function saveLotTemplate(lotId, key, locale, body) {
+  const { error } = await supabase.from('lot_message_templates').upsert(
+    {
+      lot_id: lotId,
+      template_key: key,
+      locale,
+      body,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: 'lot_id,template_key,locale' }
+  );
+
+  if (error) {
+    console.error('Error saving lot template:', error);
+    return false;
+  }
+  return true;
+}
+
+export async function deleteLotTemplate(lotId, key, locale) {
+  const { error } = await supabase
+    .from('lot_message_templates')
+    .delete()
+    .eq('lot_id', lotId)
+    .eq('template_key', key)
+    .eq('locale', locale);
+
+  if (error) {
+    console.error('Error deleting lot template:', error);
+    return false;
+  }
+  return true;
+}
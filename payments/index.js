@@ -1,69 +1,144 @@
 // payments/index.js
 import "dotenv/config";
+import { randomUUID } from "node:crypto";
 import Stripe from "stripe";
-import { supabase, logSms, updateConversation } from "../db/db.js";
 import {
-  twilioClient,
+  supabase,
+  updateConversation,
+  upsertDriverProfile,
+  getConversationLocale,
+  getAccessCode,
+  releasePoolAccessCodes,
+} from "../db/db.js";
+import {
+  sendSms,
+  withRedactions,
   notifyOwnerAlert,
   computePricing,
   computeReviewSendAt,
+  todayIsoInZone,
+  formatArrivalDate,
+  computeRefund,
+  conversationVehicles,
 } from "../utils/index.js";
-import {
-  buildLotAddress,
-  hasMeaningfulAddress,
-  buildNavigateLink,
-  formatDateRange,
-} from "../utils/lotLinks.js";
+import { formatDateRange } from "../utils/lotLinks.js";
+import { t } from "../utils/messages.js";
+import { renderLotMessage, lotTemplateVars } from "../templates/index.js";
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 // How long a stall is “held” while driver completes Stripe checkout
 const HOLD_MINUTES = Number(process.env.BOOKING_HOLD_MINUTES || 10);
 
-function templatePaymentLink({ lotName, lotCode, nights, totalCents, url }) {
-  const dollars = Math.round(Number(totalCents) / 100);
-  const lotLine = `${lotName}${lotCode ? ` (${lotCode})` : ""}`;
+// Stripe won't expire a checkout sooner than 30 minutes – shorter holds are
+// released by the scheduler sweep, which expires the session itself
+const CHECKOUT_EXPIRES_MINUTES = Math.max(HOLD_MINUTES, 30);
 
-  return (
-    "OpenYard — secure payment link\n" +
-    `${lotLine}\n` +
-    `${nights} night${nights === 1 ? "" : "s"} • $${dollars}\n\n` +
-    `${url}\n\n` +
-    "Need help? Reply SUPPORT."
-  );
+function checkoutExpiresAt() {
+  return Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRES_MINUTES * 60;
 }
 
-function templateConfirmation({
-  lotName,
-  lotCode,
-  datesLine,
-  plate,
-  addressLine,
-  navigateUrl,
-  gpsLine,
-  instructions,
-}) {
+/**
+ * Gate code lines for one booking or a fleet group. Daily codes are shown
+ * for `onDate` (defaults to the first night still ahead). Returns
+ * { lines, codes } – codes so callers can keep them out of sms_messages.
+ */
+export async function describeAccessCodes(lot, bookings, { locale, onDate }) {
+  if (!lot || !lot.access_code_mode || !bookings.length) {
+    return { lines: [], codes: [] };
+  }
+
+  const today = todayIsoInZone(lot.time_zone);
+  const first = bookings[0];
+  const date =
+    onDate || (first.start_date > today ? first.start_date : today);
+
+  const found = [];
+  for (const booking of bookings) {
+    const access = await getAccessCode(lot, booking, date);
+    if (access) found.push({ booking, ...access });
+  }
+
+  if (found.length < bookings.length) {
+    // Owners load daily codes ahead of time – only alert once it's due
+    if (lot.access_code_mode !== "daily" || date <= today) {
+      await notifyOwnerAlert(
+        `No ${lot.access_code_mode} gate code for booking ${first.id} ` +
+          `at lot ${lot.lot_code || lot.id} (${date}).`
+      );
+    }
+    if (!found.length) {
+      return { lines: [t(locale, "confirmAccessCodeMissing")], codes: [] };
+    }
+  }
+
+  const codes = found.map((f) => f.code);
   const lines = [];
 
-  lines.push("✅ Booking confirmed!");
-  lines.push(`${lotName}${lotCode ? ` (${lotCode})` : ""}`);
-  lines.push(`Dates: ${datesLine}`);
-  if (plate) lines.push(`Plate: ${plate}`);
-  lines.push("");
+  if (new Set(codes).size > 1) {
+    for (const f of found) {
+      lines.push(
+        t(locale, "confirmAccessCodeItem", {
+          plate: f.booking.license_plate_raw || "",
+          code: f.code,
+        })
+      );
+    }
+  } else if (found[0].validOn) {
+    lines.push(
+      t(locale, "confirmAccessCodeDaily", {
+        date: formatArrivalDate(found[0].validOn, locale),
+        code: codes[0],
+      })
+    );
+    lines.push(t(locale, "confirmAccessCodeRotates"));
+  } else {
+    lines.push(t(locale, "confirmAccessCode", { code: codes[0] }));
+  }
 
-  if (addressLine) lines.push(`Address: ${addressLine}`);
-  lines.push(`Navigate: ${navigateUrl}`);
-  if (gpsLine) lines.push(`GPS: ${gpsLine}`);
-  lines.push("");
+  if (found.length < bookings.length) {
+    lines.push(t(locale, "confirmAccessCodeMissing"));
+  }
 
-  lines.push("Special instructions:");
-  lines.push(instructions || "Park in marked truck stalls.");
-  lines.push("");
+  return { lines, codes };
+}
 
-  lines.push("Keep this text for your records.");
-  lines.push("Reply SUPPORT if you need help.");
+// Full confirmation text for a booking (webhook + STATUS re-send).
+// `group` – every row of a fleet booking, for per-truck gate codes.
+export async function buildBookingConfirmation(
+  booking,
+  { plates, group, locale }
+) {
+  const { data: lot, error: lotErr } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("id", booking.lot_id)
+    .single();
 
-  return lines.join("\n");
+  if (lotErr) {
+    console.error("Error loading lot for confirmation:", lotErr);
+    await notifyOwnerAlert(
+      `Error loading lot for confirmation: ${lotErr.message}`
+    );
+  }
+
+  const { lines: accessCodeLines, codes } = await describeAccessCodes(
+    lot,
+    group || [booking],
+    { locale }
+  );
+
+  // The lot's own wording when it has one (see templates/index.js)
+  const message = await renderLotMessage(lot, "confirmation", {
+    ...lotTemplateVars(lot, locale),
+    datesLine: formatDateRange(booking.start_date, booking.end_date),
+    plate: booking.license_plate_raw || "",
+    plates,
+    accessCodeLines,
+    locale,
+  });
+
+  return { lot, message, codes };
 }
 
 function isoDate(d) {
@@ -120,9 +195,11 @@ export async function createBooking(conversation) {
     await notifyOwnerAlert(
       `Error reloading conversation for booking: ${convErr.message}`
     );
-    return "We couldn't create your booking. Please try again.";
+    return t(conversation.locale, "bookingCreateError");
   }
 
+  const locale = conv.locale;
+
   const { data: lot, error: lotErr } = await supabase
     .from("lots")
     .select("*")
@@ -132,18 +209,31 @@ export async function createBooking(conversation) {
   if (lotErr) {
     console.error("Error loading lot for booking:", lotErr);
     await notifyOwnerAlert(`Error loading lot for booking: ${lotErr.message}`);
-    return "We couldn't find that lot. Try again.";
+    return t(locale, "bookingLotNotFound");
   }
 
+  // One booking per truck; fleets share a booking_group_id and one checkout
   const pricing = computePricing(lot, conv.stay_type, conv.nights);
+  const vehicles = conversationVehicles(conv);
+  const truckCount = Math.max(1, vehicles.length);
 
   const nights = Number(conv.nights || 1);
-  const startDate = isoDate(new Date());
+  const today = todayIsoInZone(lot.time_zone);
+  const startDate = conv.arrival_date || today;
   const endDate = addDaysIso(startDate, nights);
 
+  // Conversation can outlive its arrival date (e.g. started late at night)
+  if (startDate < today) {
+    const msg = t(locale, "bookingArrivalPassed", {
+      date: formatArrivalDate(startDate, locale),
+    });
+
+    return msg;
+  }
+
   // ---- CAPACITY GUARD ----
   let minSpots = null;
-  if (nights <= 1) {
+  if (nights <= 1 && startDate === today) {
     minSpots = await getStallsLeftTonight(lot.id);
   } else {
     minSpots = await getMinStallsLeftForStay(lot.id, startDate, endDate);
@@ -156,75 +246,92 @@ export async function createBooking(conversation) {
     );
   }
 
-  // If we know it’s sold out, block
-  if (typeof minSpots === "number" && minSpots <= 0) {
+  // If we know there aren't enough stalls for every truck, block
+  if (typeof minSpots === "number" && minSpots < truckCount) {
+    const datesLine = formatDateRange(startDate, endDate);
     const msg =
-      `That lot is sold out for your dates (${startDate} to ${endDate}).\n` +
-      `Reply BOOK to start over, or reply SUPPORT for help.`;
+      minSpots > 0
+        ? t(locale, "bookingNotEnoughSpots", {
+            count: minSpots,
+            trucks: truckCount,
+            datesLine,
+          })
+        : t(locale, "bookingSoldOut", { datesLine });
 
-    await logSms(conv.id, conv.driver_phone_e164, "outbound", msg);
-    return msg;
+    await updateConversation(conv.id, { waitlist_lot_id: lot.id });
+
+    const reply = msg + "\n" + t(locale, "waitlistHint");
+    return reply;
   }
   // ------------------------
 
   const holdExpiresAt = holdExpiresAtIso(HOLD_MINUTES);
+  const groupId = truckCount > 1 ? randomUUID() : null;
 
-  const { data: booking, error: bookingErr } = await supabase
+  const rows = (vehicles.length ? vehicles : [conv]).map((veh) => ({
+    conversation_id: conv.id,
+    lot_id: conv.lot_id,
+    booking_group_id: groupId,
+    driver_phone_e164: conv.driver_phone_e164,
+    driver_full_name: conv.driver_full_name,
+    truck_type: veh.truck_type,
+    truck_make_model: veh.truck_make_model,
+    license_plate_raw: veh.license_plate_raw,
+    stay_type: conv.stay_type,
+    nights: nights,
+    start_date: startDate,
+    end_date: endDate,
+    nightly_rate_cents: pricing.nightly_rate_cents,
+    weekly_rate_cents: lot.weekly_rate_cents,
+    monthly_rate_cents: lot.monthly_rate_cents,
+    subtotal_cents: pricing.subtotal_cents,
+    deposit_hold_cents: pricing.deposit_hold_cents,
+    total_cents: pricing.total_cents,
+    currency: "usd",
+    status: "pending_payment",
+
+    // ✅ THIS is what makes pending_payment bookings count as “reserved”
+    hold_expires_at: holdExpiresAt,
+  }));
+
+  const { data: bookings, error: bookingErr } = await supabase
     .from("bookings")
-    .insert({
-      conversation_id: conv.id,
-      lot_id: conv.lot_id,
-      driver_phone_e164: conv.driver_phone_e164,
-      driver_full_name: conv.driver_full_name,
-      truck_type: conv.truck_type,
-      truck_make_model: conv.truck_make_model,
-      license_plate_raw: conv.license_plate_raw,
-      stay_type: conv.stay_type,
-      nights: nights,
-      start_date: startDate,
-      end_date: endDate,
-      nightly_rate_cents: pricing.nightly_rate_cents,
-      weekly_rate_cents: lot.weekly_rate_cents,
-      monthly_rate_cents: lot.monthly_rate_cents,
-      subtotal_cents: pricing.subtotal_cents,
-      deposit_hold_cents: pricing.deposit_hold_cents,
-      total_cents: pricing.total_cents,
-      currency: "usd",
-      status: "pending_payment",
-
-      // ✅ THIS is what makes pending_payment bookings count as “reserved”
-      hold_expires_at: holdExpiresAt,
-    })
-    .select()
-    .single();
+    .insert(rows)
+    .select();
 
-  if (bookingErr) {
+  if (bookingErr || !bookings || bookings.length === 0) {
     console.error("Supabase insert booking error:", bookingErr);
     await notifyOwnerAlert(
-      `Supabase insert booking error: ${bookingErr.message}`
+      `Supabase insert booking error: ${
+        bookingErr ? bookingErr.message : "no rows returned"
+      }`
     );
-    return "We couldn't create your booking. Please try again.";
+    return t(locale, "bookingCreateError");
   }
 
+  const booking = bookings[0];
+
   const session = await stripe.checkout.sessions.create({
     mode: "payment",
     payment_method_types: ["card"],
-    line_items: [
-      {
-        quantity: 1,
-        price_data: {
-          currency: "usd",
-          unit_amount: pricing.total_cents,
-          product_data: {
-            name: `Truck Parking – ${lot.name}`,
-            description: `${nights} night(s) at ${lot.name}`,
-          },
+    line_items: bookings.map((b) => ({
+      quantity: 1,
+      price_data: {
+        currency: "usd",
+        unit_amount: pricing.total_cents,
+        product_data: {
+          name: `Truck Parking – ${lot.name}`,
+          description:
+            `${nights} night(s) at ${lot.name} from ${startDate}` +
+            (truckCount > 1 ? ` – plate ${b.license_plate_raw}` : ""),
         },
       },
-    ],
+    })),
     metadata: {
       booking_id: booking.id,
+      ...(groupId ? { booking_group_id: groupId } : {}),
     },
+    expires_at: checkoutExpiresAt(),
     success_url: process.env.CHECKOUT_SUCCESS_URL || "https://openyardpark.com",
     cancel_url: process.env.CHECKOUT_CANCEL_URL || "https://openyardpark.com",
   });
@@ -235,26 +342,884 @@ export async function createBooking(conversation) {
       stripe_session_id: session.id,
       updated_at: new Date().toISOString(),
     })
-    .eq("id", booking.id);
+    .in("id", bookings.map((b) => b.id));
 
   await updateConversation(conv.id, {
     booking_id: booking.id,
     current_state: "awaiting_payment",
   });
 
-  const payMsg = templatePaymentLink({
+  const payMsg = await renderLotMessage(lot, "payment_link", {
     lotName: lot?.name || "OpenYard lot",
     lotCode: lot?.lot_code || "",
     nights: nights,
-    totalCents: pricing.total_cents,
+    totalCents: pricing.total_cents * bookings.length,
     url: session.url,
+    datesLine: formatDateRange(startDate, endDate),
+    truckCount: bookings.length,
+    locale,
   });
 
-  await logSms(conv.id, conv.driver_phone_e164, "outbound", payMsg);
+  return payMsg;
+}
+
+// A fleet checkout made one row per truck (same booking_group_id) – CANCEL
+// and EXTEND act on all of them. `booking` comes first.
+async function loadBookingGroup(booking) {
+  if (!booking.booking_group_id) return [booking];
+
+  const { data: rows, error } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("booking_group_id", booking.booking_group_id)
+    .eq("status", booking.status);
+
+  if (error) console.error("Error loading fleet bookings:", error);
+
+  const others = (rows || []).filter((r) => r.id !== booking.id);
+  return [booking, ...others];
+}
+
+// "Plate: …" / "Plates: …, …" for a set of booking rows ("" without plates)
+function platesLine(locale, rows) {
+  const plates = rows.map((r) => r.license_plate_raw).filter(Boolean);
+  if (plates.length === 0) return "";
+  return plates.length > 1
+    ? t(locale, "confirmPlates", { plates: plates.join(", ") })
+    : t(locale, "confirmPlate", { plate: plates[0] });
+}
+
+// EXTEND: charge only the added nights; the original booking is updated by the webhook
+export async function createExtensionCheckout(conversation) {
+  const { data: conv, error: convErr } = await supabase
+    .from("conversations")
+    .select("*")
+    .eq("id", conversation.id)
+    .single();
+
+  if (convErr) {
+    console.error("Error reloading conversation for extension:", convErr);
+    await notifyOwnerAlert(
+      `Error reloading conversation for extension: ${convErr.message}`
+    );
+    return t(conversation.locale, "extendReloadError");
+  }
+
+  const locale = conv.locale;
+
+  const { data: booking, error: bookingErr } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("id", conv.extend_booking_id)
+    .single();
+
+  if (bookingErr || !booking || booking.status !== "confirmed") {
+    if (bookingErr) {
+      console.error("Error loading booking for extension:", bookingErr);
+    }
+    return t(locale, "extendBookingNotFound");
+  }
+
+  const { data: lot, error: lotErr } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("id", booking.lot_id)
+    .single();
+
+  if (lotErr) {
+    console.error("Error loading lot for extension:", lotErr);
+    await notifyOwnerAlert(`Error loading lot for extension: ${lotErr.message}`);
+    return t(locale, "bookingLotNotFound");
+  }
+
+  const group = await loadBookingGroup(booking);
+  await expireExtensionCheckouts(group.map((b) => b.id));
+
+  const extraNights = Number(conv.extend_nights || 1);
+  const fromDate = booking.end_date;
+  const newEndDate = addDaysIso(fromDate, extraNights);
+
+  // ---- CAPACITY GUARD (added nights only, one stall per truck) ----
+  const minSpots = await getMinStallsLeftForStay(lot.id, fromDate, newEndDate);
+
+  if (minSpots === null) {
+    await notifyOwnerAlert(
+      `Capacity check failed for extension (RPC returned null). Lot ${
+        lot.lot_code || lot.id
+      }`
+    );
+  }
+
+  if (typeof minSpots === "number" && minSpots < group.length) {
+    const msg = t(locale, "extendSoldOut", {
+      lotName: lot.name,
+      datesLine: formatDateRange(fromDate, newEndDate),
+    });
+
+    await updateConversation(conv.id, {
+      current_state: "cancelled",
+      is_active: false,
+    });
+    return msg;
+  }
+  // --------------------------------------------
+
+  const pricing = computePricing(lot, "custom", extraNights);
+
+  const session = await stripe.checkout.sessions.create({
+    mode: "payment",
+    payment_method_types: ["card"],
+    line_items: group.map((b) => ({
+      quantity: 1,
+      price_data: {
+        currency: "usd",
+        unit_amount: pricing.total_cents,
+        product_data: {
+          name: `Truck Parking Extension – ${lot.name}`,
+          description:
+            `${extraNights} extra night(s) at ${lot.name} from ${fromDate}` +
+            (b.license_plate_raw ? ` – plate ${b.license_plate_raw}` : ""),
+        },
+      },
+    })),
+    metadata: {
+      booking_id: booking.id,
+      ...(booking.booking_group_id
+        ? { booking_group_id: booking.booking_group_id }
+        : {}),
+      conversation_id: conv.id,
+      extension_nights: String(extraNights),
+      extension_end_date: newEndDate,
+    },
+    expires_at: checkoutExpiresAt(),
+    success_url: process.env.CHECKOUT_SUCCESS_URL || "https://openyardpark.com",
+    cancel_url: process.env.CHECKOUT_CANCEL_URL || "https://openyardpark.com",
+  });
+
+  await updateConversation(conv.id, {
+    extend_stripe_session_id: session.id,
+    current_state: "awaiting_payment",
+  });
+
+  const payMsg = await renderLotMessage(lot, "payment_link", {
+    lotName: lot?.name || "OpenYard lot",
+    lotCode: lot?.lot_code || "",
+    nights: extraNights,
+    totalCents: pricing.total_cents * group.length,
+    url: session.url,
+    datesLine: formatDateRange(fromDate, newEndDate),
+    isExtension: true,
+    truckCount: group.length,
+    plates: group.map((b) => b.license_plate_raw).filter(Boolean),
+    locale,
+  });
 
   return payMsg;
 }
 
+// Open EXTEND checkouts for these bookings. A newer EXTEND or a cancellation
+// makes them stale, so Stripe stops taking payment on them.
+async function expireExtensionCheckouts(bookingIds) {
+  const { data: convs } = await supabase
+    .from("conversations")
+    .select("id, extend_stripe_session_id")
+    .in("extend_booking_id", bookingIds)
+    .not("extend_stripe_session_id", "is", null);
+
+  for (const conv of convs || []) {
+    try {
+      await stripe.checkout.sessions.expire(conv.extend_stripe_session_id);
+    } catch (err) {
+      // Already completed/expired sessions can't be expired – nothing to do
+      console.warn(
+        "Could not expire Stripe session",
+        conv.extend_stripe_session_id,
+        err.message
+      );
+    }
+    await updateConversation(conv.id, { extend_stripe_session_id: null });
+  }
+}
+
+// Extension paid but not applied – the nights are gone ("sold_out") or the
+// link was out of date ("stale": booking cancelled or already extended).
+// Refund it and keep the booking as is.
+async function refundExtension(session, booking, reason) {
+  const meta = session.metadata || {};
+  const amountCents = Number(session.amount_total || 0);
+  const soldOut = reason === "sold_out";
+
+  try {
+    await stripe.refunds.create(
+      {
+        payment_intent: session.payment_intent,
+        metadata: { booking_id: booking.id, reason: `extension_${reason}` },
+      },
+      { idempotencyKey: `refund-extension-${session.id}` }
+    );
+  } catch (err) {
+    console.error("Error refunding extension:", err);
+    await notifyOwnerAlert(
+      `Extension for booking ${booking.id} could not be applied (${reason}), ` +
+        `and the refund failed (session ${session.id}): ${err.message}`
+    );
+    return;
+  }
+
+  // Marks the session handled, so a Stripe retry of this event stops at the
+  // check in applyBookingExtension instead of texting everyone again
+  const { error: markErr } = await supabase.from("booking_extensions").insert({
+    booking_id: booking.id,
+    nights: Number(meta.extension_nights || 0),
+    previous_end_date: booking.end_date,
+    new_end_date: booking.end_date,
+    amount_cents: amountCents,
+    stripe_session_id: session.id,
+    stripe_payment_intent_id: session.payment_intent,
+    status: "refunded",
+    paid_at: new Date().toISOString(),
+  });
+  if (markErr) console.error("Error recording refunded extension:", markErr);
+
+  await notifyOwnerAlert(
+    (soldOut
+      ? `Extension for booking ${booking.id} paid after the lot sold out`
+      : `Extension for booking ${booking.id} paid on an out-of-date link ` +
+        `(booking ${booking.status}, ends ${booking.end_date})`) +
+      ` – refunded ${formatDollars(amountCents)} (session ${session.id}).`
+  );
+
+  if (meta.conversation_id) {
+    await updateConversation(meta.conversation_id, {
+      is_active: false,
+      current_state: "completed",
+    });
+  }
+
+  const { data: lot } = await supabase
+    .from("lots")
+    .select("name")
+    .eq("id", booking.lot_id)
+    .single();
+
+  const locale = await getConversationLocale(
+    meta.conversation_id || booking.conversation_id
+  );
+
+  const messageKey = soldOut ? "extendSoldOutRefunded" : "extendStaleRefunded";
+  await sendSms({
+    to: booking.driver_phone_e164,
+    body: t(locale, messageKey, {
+      lotName: lot?.name || "OpenYard lot",
+      datesLine: formatDateRange(
+        addDaysIso(meta.extension_end_date, -Number(meta.extension_nights || 0)),
+        meta.extension_end_date
+      ),
+      amount: formatDollars(amountCents),
+    }),
+    messageType: "extension_confirmation",
+    conversationId: meta.conversation_id || booking.conversation_id,
+  });
+}
+
+async function applyBookingExtension(session) {
+  const meta = session.metadata || {};
+  const nowIso = new Date().toISOString();
+
+  // Stripe retries webhooks – only apply each extension session once
+  const { data: existing } = await supabase
+    .from("booking_extensions")
+    .select("id")
+    .eq("stripe_session_id", session.id)
+    .limit(1);
+
+  if (existing && existing.length > 0) return;
+
+  const { data: booking, error: bookingErr } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("id", meta.booking_id)
+    .single();
+
+  if (bookingErr || !booking) {
+    console.error("Error loading booking for extension payment:", bookingErr);
+    await notifyOwnerAlert(
+      `Extension paid but booking ${meta.booking_id} not found (session ${session.id})`
+    );
+    return;
+  }
+
+  const extraNights = Number(meta.extension_nights || 0);
+  const newEndDate = meta.extension_end_date;
+  const amountCents = Number(session.amount_total || 0);
+
+  // The link was made for a confirmed booking ending where the extra nights
+  // start. A cancellation or another paid extension since then means these
+  // nights were never sold – don't move the dates or charge twice.
+  const fromDate = addDaysIso(newEndDate, -extraNights);
+  if (booking.status !== "confirmed" || booking.end_date !== fromDate) {
+    await refundExtension(session, booking, "stale");
+    return;
+  }
+
+  const group = await loadBookingGroup(booking);
+  // One checkout line per truck, all at the same price
+  const perTruckCents = Math.round(amountCents / group.length);
+
+  // The added nights aren't held while the link is open – someone else may
+  // have taken the last stall since. Refund rather than overbook the lot.
+  const minSpots = await getMinStallsLeftForStay(
+    booking.lot_id,
+    fromDate,
+    newEndDate
+  );
+  if (typeof minSpots === "number" && minSpots < group.length) {
+    await refundExtension(session, booking, "sold_out");
+    return;
+  }
+
+  const { error: extErr } = await supabase.from("booking_extensions").insert(
+    group.map((b) => ({
+      booking_id: b.id,
+      nights: extraNights,
+      previous_end_date: b.end_date,
+      new_end_date: newEndDate,
+      amount_cents: perTruckCents,
+      stripe_session_id: session.id,
+      stripe_payment_intent_id: session.payment_intent,
+      paid_at: nowIso,
+    }))
+  );
+
+  if (extErr) {
+    console.error("Error recording booking extension:", extErr);
+    await notifyOwnerAlert(
+      `Error recording extension for booking ${booking.id}: ${extErr.message}`
+    );
+    return;
+  }
+
+  for (const row of group) {
+    const { error: updErr } = await supabase
+      .from("bookings")
+      .update({
+        end_date: newEndDate,
+        nights: Number(row.nights || 0) + extraNights,
+        subtotal_cents: Number(row.subtotal_cents || 0) + perTruckCents,
+        total_cents: Number(row.total_cents || 0) + perTruckCents,
+        updated_at: nowIso,
+      })
+      .eq("id", row.id);
+
+    if (updErr) {
+      console.error("Error updating booking end_date on extension:", updErr);
+      await notifyOwnerAlert(
+        `Error updating booking ${row.id} on extension: ${updErr.message}`
+      );
+      return;
+    }
+  }
+
+  if (meta.conversation_id) {
+    await updateConversation(meta.conversation_id, {
+      is_active: false,
+      current_state: "completed",
+    });
+  }
+
+  const { data: lot } = await supabase
+    .from("lots")
+    .select("name, lot_code, time_zone")
+    .eq("id", booking.lot_id)
+    .single();
+
+  // The review nudge moves with the new check-out day (LEAVING already
+  // re-timed it if they've left)
+  const stillParked = group.filter((b) => !b.checked_out_at);
+  if (stillParked.length > 0) {
+    const sendAt = computeReviewSendAt(lot, newEndDate);
+    await supabase
+      .from("scheduled_messages")
+      .update({ send_at: sendAt, due_at: sendAt })
+      .in("booking_id", stillParked.map((b) => b.id))
+      .eq("message_type", "review_nudge")
+      .is("sent_at", null);
+  }
+
+  const locale = await getConversationLocale(
+    meta.conversation_id || booking.conversation_id
+  );
+
+  const lines = [
+    t(locale, "extendConfirmedHeader"),
+    `${lot?.name || "OpenYard lot"}${lot?.lot_code ? ` (${lot.lot_code})` : ""}`,
+    t(locale, "confirmDates", {
+      datesLine: formatDateRange(booking.start_date, newEndDate),
+    }),
+  ];
+  const plates = platesLine(locale, group);
+  if (plates) lines.push(plates);
+  lines.push("", t(locale, "confirmSupport"));
+  const msg = lines.join("\n");
+
+  await sendSms({
+    to: booking.driver_phone_e164,
+    body: msg,
+    messageType: "extension_confirmation",
+    conversationId: meta.conversation_id || booking.conversation_id,
+  });
+}
+
+function formatDollars(cents) {
+  return `$${(Number(cents || 0) / 100).toFixed(2)}`;
+}
+
+// Quote shown before the driver confirms a cancellation (every truck of a
+// fleet booking)
+export async function describeCancellation(booking, locale) {
+  const { data: lot } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("id", booking.lot_id)
+    .single();
+
+  const group = await loadBookingGroup(booking);
+  const { beforeCheckIn } = computeRefund(lot || {}, booking);
+  const refundCents = group.reduce(
+    (sum, b) => sum + computeRefund(lot || {}, b).refundCents,
+    0
+  );
+  const paidCents = group.reduce(
+    (sum, b) => sum + Number(b.total_cents || 0),
+    0
+  );
+  const lotName = lot?.name || "OpenYard lot";
+
+  const amount = formatDollars(refundCents);
+
+  let refundLine;
+  if (refundCents >= paidCents && refundCents > 0) {
+    refundLine = t(locale, "refundFull", { amount });
+  } else if (refundCents > 0) {
+    refundLine = t(locale, "refundPartial", { amount });
+  } else if (beforeCheckIn) {
+    refundLine = t(locale, "refundNoneNoPolicy");
+  } else {
+    refundLine = t(locale, "refundNonePastCheckIn");
+  }
+
+  const plates = platesLine(locale, group);
+  return t(locale, "cancelQuote", {
+    lotName,
+    datesLine: formatDateRange(booking.start_date, booking.end_date),
+    platesLine: plates ? plates + "\n" : "",
+    refundLine,
+  });
+}
+
+// Original checkout plus any EXTEND payments, newest first so the last nights are refunded first
+async function listBookingPayments(booking) {
+  const { data: extensions } = await supabase
+    .from("booking_extensions")
+    .select("amount_cents, stripe_payment_intent_id, status, paid_at")
+    .eq("booking_id", booking.id)
+    .order("paid_at", { ascending: false });
+
+  // Refunded extensions (sold out / stale link) never added nights
+  const ext = (extensions || []).filter(
+    (e) => e.stripe_payment_intent_id && e.status !== "refunded"
+  );
+  const extTotal = ext.reduce((sum, e) => sum + Number(e.amount_cents || 0), 0);
+
+  const payments = ext.map((e) => ({
+    paymentIntentId: e.stripe_payment_intent_id,
+    amountCents: Number(e.amount_cents || 0),
+  }));
+
+  if (booking.stripe_payment_intent_id) {
+    payments.push({
+      paymentIntentId: booking.stripe_payment_intent_id,
+      amountCents: Math.max(0, Number(booking.total_cents || 0) - extTotal),
+    });
+  }
+
+  return payments;
+}
+
+async function refundBookingPayments(booking, refundCents) {
+  let remaining = refundCents;
+  let refunded = 0;
+
+  for (const payment of await listBookingPayments(booking)) {
+    if (remaining <= 0) break;
+
+    const amount = Math.min(remaining, payment.amountCents);
+    if (amount <= 0) continue;
+
+    await stripe.refunds.create(
+      {
+        payment_intent: payment.paymentIntentId,
+        amount,
+        metadata: { booking_id: booking.id },
+      },
+      { idempotencyKey: `refund-${booking.id}-${payment.paymentIntentId}` }
+    );
+
+    remaining -= amount;
+    refunded += amount;
+  }
+
+  return refunded;
+}
+
+export async function cancelBookingWithRefund(conversation) {
+  const locale = conversation.locale;
+
+  const { data: booking, error: bookingErr } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("id", conversation.cancel_booking_id)
+    .single();
+
+  if (bookingErr || !booking || booking.status !== "confirmed") {
+    if (bookingErr) {
+      console.error("Error loading booking for cancellation:", bookingErr);
+    }
+    await updateConversation(conversation.id, {
+      current_state: "cancelled",
+      is_active: false,
+    });
+    return t(locale, "cancelNotFound");
+  }
+
+  const { data: lot } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("id", booking.lot_id)
+    .single();
+
+  // Fleet bookings: every truck's row is refunded and cancelled together
+  const group = await loadBookingGroup(booking);
+  await expireExtensionCheckouts(group.map((b) => b.id));
+  const nowIso = new Date().toISOString();
+  let refundedCents = 0;
+
+  for (const row of group) {
+    const { refundCents, policy } = computeRefund(lot || {}, row);
+
+    let rowRefundedCents = 0;
+    try {
+      if (refundCents > 0) {
+        rowRefundedCents = await refundBookingPayments(row, refundCents);
+      }
+    } catch (err) {
+      console.error("Stripe refund error:", err);
+      await notifyOwnerAlert(
+        `Stripe refund failed for booking ${row.id} (${formatDollars(
+          refundCents
+        )}): ${err.message}` +
+          (row.id !== booking.id
+            ? ` – other trucks in group ${booking.booking_group_id} may already be cancelled`
+            : "")
+      );
+      return t(locale, "cancelRefundFailed");
+    }
+    refundedCents += rowRefundedCents;
+
+    // Leaving "confirmed" is what frees the stall for the capacity RPCs
+    const { error: updErr } = await supabase
+      .from("bookings")
+      .update({
+        status: rowRefundedCents > 0 ? "refunded" : "cancelled",
+        cancelled_at: nowIso,
+        refund_cents: rowRefundedCents,
+        refund_policy: policy,
+        updated_at: nowIso,
+      })
+      .eq("id", row.id);
+
+    if (updErr) {
+      console.error("Error updating booking on cancellation:", updErr);
+      await notifyOwnerAlert(
+        `Booking ${row.id} refunded ${formatDollars(
+          rowRefundedCents
+        )} but status update failed: ${updErr.message}`
+      );
+    }
+  }
+
+  await releasePoolAccessCodes(group.map((b) => b.id));
+
+  await updateConversation(conversation.id, {
+    current_state: "completed",
+    is_active: false,
+  });
+
+  const lotName = lot?.name || "OpenYard lot";
+  const plates = platesLine(locale, group);
+  const msg =
+    t(locale, "cancelDone", {
+      lotName,
+      datesLine: formatDateRange(booking.start_date, booking.end_date),
+    }) +
+    "\n" +
+    (plates ? plates + "\n" : "") +
+    (refundedCents > 0
+      ? t(locale, "cancelRefunded", { amount: formatDollars(refundedCents) })
+      : t(locale, "cancelNoRefund"));
+
+  return msg;
+}
+
+// STATUS → number: re-send the confirmation for the chosen booking
+export async function resendBookingConfirmation(conversation) {
+  const locale = conversation.locale;
+
+  const { data: booking, error } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("id", conversation.status_booking_id)
+    .single();
+
+  if (error || !booking) {
+    if (error) console.error("Error loading booking for STATUS:", error);
+    await updateConversation(conversation.id, {
+      current_state: "completed",
+      is_active: false,
+    });
+    return t(locale, "statusBookingGone");
+  }
+
+  if (booking.status !== "confirmed") return t(locale, "statusNotPaid");
+
+  const { message, codes } = await buildBookingConfirmation(booking, {
+    locale,
+  });
+
+  await updateConversation(conversation.id, {
+    current_state: "completed",
+    is_active: false,
+  });
+  // Gate codes stay out of the logged reply
+  return withRedactions(message, codes);
+}
+
+// Pending bookings picked by `narrow` → `status`, stamped with when the hold
+// ended, and their Stripe checkouts expired (once per fleet session) unless
+// that checkout is `closedSessionId`, which Stripe has already ended.
+// Returns the released rows, or null on error.
+async function releaseHolds(narrow, status, { closedSessionId } = {}) {
+  const nowIso = new Date().toISOString();
+
+  const { data: released, error } = await narrow(
+    supabase
+      .from("bookings")
+      .update({
+        status,
+        hold_expires_at: null,
+        cancelled_at: nowIso,
+        updated_at: nowIso,
+      })
+      .eq("status", "pending_payment")
+  ).select();
+
+  if (error) {
+    console.error("Error releasing pending bookings:", error);
+    await notifyOwnerAlert(`Error releasing pending bookings: ${error.message}`);
+    return null;
+  }
+
+  await releasePoolAccessCodes((released || []).map((b) => b.id));
+
+  const sessionIds = new Set(
+    (released || []).map((b) => b.stripe_session_id).filter(Boolean)
+  );
+  sessionIds.delete(closedSessionId);
+
+  for (const sessionId of sessionIds) {
+    try {
+      await stripe.checkout.sessions.expire(sessionId);
+    } catch (err) {
+      // Already completed/expired sessions can't be expired – nothing to do
+      console.warn("Could not expire Stripe session", sessionId, err.message);
+    }
+  }
+
+  return released || [];
+}
+
+// Abandoned checkouts: free the stall now instead of waiting for hold_expires_at
+export async function releasePendingBookings(phone) {
+  await releaseHolds(
+    (query) => query.eq("driver_phone_e164", phone),
+    "cancelled"
+  );
+}
+
+/**
+ * Checkouts that ended without payment: pending bookings → `status`
+ * ("expired" or "payment_failed"), the Stripe session is closed, the
+ * conversation waiting on it ends and the driver gets one text per checkout.
+ * Either `sessionId` (webhook) or `holdExpiredBefore` (scheduler sweep).
+ */
+export async function releaseUnpaidBookings({
+  sessionId,
+  holdExpiredBefore,
+  status = "expired",
+}) {
+  const nowIso = new Date().toISOString();
+
+  const released = await releaseHolds(
+    (query) =>
+      sessionId
+        ? query.eq("stripe_session_id", sessionId)
+        : query.lte("hold_expires_at", holdExpiredBefore),
+    status,
+    { closedSessionId: sessionId }
+  );
+  if (!released) return 0;
+
+  // Fleet bookings share one checkout – one text per checkout
+  const checkouts = new Map();
+  for (const booking of released) {
+    const key = booking.stripe_session_id || booking.id;
+    if (!checkouts.has(key)) checkouts.set(key, booking);
+  }
+
+  for (const booking of checkouts.values()) {
+    await supabase
+      .from("conversations")
+      .update({
+        is_active: false,
+        current_state: "expired",
+        updated_at: nowIso,
+      })
+      .eq("id", booking.conversation_id)
+      .eq("current_state", "awaiting_payment");
+
+    const { data: lot } = await supabase
+      .from("lots")
+      .select("name")
+      .eq("id", booking.lot_id)
+      .single();
+
+    const locale = await getConversationLocale(booking.conversation_id);
+    const messageKey =
+      status === "payment_failed" ? "holdPaymentFailed" : "holdExpired";
+    try {
+      await sendSms({
+        to: booking.driver_phone_e164,
+        body: t(locale, messageKey, {
+          lotName: lot?.name || "OpenYard lot",
+          datesLine: formatDateRange(booking.start_date, booking.end_date),
+        }),
+        messageType: "hold_expired",
+        conversationId: booking.conversation_id,
+      });
+    } catch (err) {
+      console.error("Error sending hold expired text:", err);
+    }
+  }
+
+  return released.length;
+}
+
+// EXTEND checkout that ended unpaid – the booking itself never changed
+async function closeExtensionCheckout(session) {
+  const conversationId = session.metadata.conversation_id;
+  if (!conversationId) return;
+
+  const { data: rows } = await supabase
+    .from("conversations")
+    .update({
+      is_active: false,
+      current_state: "expired",
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", conversationId)
+    .eq("extend_stripe_session_id", session.id)
+    .eq("current_state", "awaiting_payment")
+    .select();
+
+  // Moved on already (paid, RESET, new flow) – nothing to tell them
+  if (!rows || rows.length === 0) return;
+  const conversation = rows[0];
+
+  const { data: booking } = await supabase
+    .from("bookings")
+    .select("lot_id")
+    .eq("id", session.metadata.booking_id)
+    .single();
+  const { data: lot } = booking
+    ? await supabase
+        .from("lots")
+        .select("name")
+        .eq("id", booking.lot_id)
+        .single()
+    : { data: null };
+
+  try {
+    await sendSms({
+      to: conversation.driver_phone_e164,
+      body: t(conversation.locale, "extendLinkExpired", {
+        lotName: lot?.name || "OpenYard lot",
+      }),
+      messageType: "hold_expired",
+      conversationId,
+    });
+  } catch (err) {
+    console.error("Error sending extension expired text:", err);
+  }
+}
+
+// Paid, but nothing was left pending to confirm (hold expired, cancelled,
+// released…): refund rather than confirm a stall that may be gone. A Stripe
+// retry of an already confirmed checkout is left alone.
+async function refundUnconfirmablePayment(session, { bookingId, groupId }) {
+  let query = supabase
+    .from("bookings")
+    .select("id, status, stripe_payment_intent_id");
+  query = groupId
+    ? query.eq("booking_group_id", groupId)
+    : query.eq("id", bookingId);
+  const { data: bookings } = await query;
+
+  const alreadyConfirmed = (bookings || []).some(
+    (b) =>
+      b.status === "confirmed" &&
+      b.stripe_payment_intent_id === session.payment_intent
+  );
+  if (alreadyConfirmed) return;
+
+  const statuses =
+    (bookings || []).map((b) => `${b.id}: ${b.status}`).join(", ") ||
+    "not found";
+
+  try {
+    await stripe.refunds.create(
+      {
+        payment_intent: session.payment_intent,
+        metadata: { booking_id: bookingId, reason: "booking_not_pending" },
+      },
+      { idempotencyKey: `refund-unconfirmed-${session.id}` }
+    );
+  } catch (err) {
+    console.error("Error refunding payment for unpending booking:", err);
+    await notifyOwnerAlert(
+      `Payment for booking ${bookingId} arrived after it was released ` +
+        `(${statuses}), and the refund failed (session ${session.id}): ${err.message}`
+    );
+    return;
+  }
+
+  await notifyOwnerAlert(
+    `Payment for booking ${bookingId} arrived after it was released ` +
+      `(${statuses}) – refunded ${formatDollars(
+        Number(session.amount_total || 0)
+      )} instead of confirming (session ${session.id}).`
+  );
+}
+
 export async function stripeWebhookHandler(req, res) {
   const sig = req.headers["stripe-signature"];
 
@@ -271,9 +1236,59 @@ export async function stripeWebhookHandler(req, res) {
     return res.status(400).send("Invalid signature");
   }
 
+  // Abandoned checkout (Stripe expired it) or a delayed payment that failed
+  if (
+    event.type === "checkout.session.expired" ||
+    event.type === "checkout.session.async_payment_failed"
+  ) {
+    const session = event.data.object;
+    const failed = event.type === "checkout.session.async_payment_failed";
+
+    if (session.metadata && session.metadata.extension_nights) {
+      if (failed) {
+        // checkout.session.completed already applied the extra nights
+        await notifyOwnerAlert(
+          `Extension payment failed for booking ${session.metadata.booking_id} ` +
+            `(session ${session.id}) – nights were already added, please review.`
+        );
+      } else {
+        await closeExtensionCheckout(session);
+      }
+      return res.send("ok");
+    }
+
+    await releaseUnpaidBookings({
+      sessionId: session.id,
+      status: failed ? "payment_failed" : "expired",
+    });
+
+    if (failed) {
+      const { data: confirmed } = await supabase
+        .from("bookings")
+        .select("id")
+        .eq("stripe_session_id", session.id)
+        .eq("status", "confirmed");
+
+      if (confirmed && confirmed.length > 0) {
+        const ids = confirmed.map((b) => b.id).join(", ");
+        await notifyOwnerAlert(
+          `Payment failed after confirmation for booking(s) ${ids} ` +
+            `(session ${session.id}) – please review.`
+        );
+      }
+    }
+    return res.send("ok");
+  }
+
   if (event.type === "checkout.session.completed") {
     const session = event.data.object;
     const bookingId = session.metadata && session.metadata.booking_id;
+    const groupId = session.metadata && session.metadata.booking_group_id;
+
+    if (session.metadata && session.metadata.extension_nights) {
+      await applyBookingExtension(session);
+      return res.send("ok");
+    }
 
     if (!bookingId) {
       console.warn("Stripe: missing booking_id");
@@ -285,7 +1300,10 @@ export async function stripeWebhookHandler(req, res) {
 
     const nowIso = new Date().toISOString();
 
-    const { data: rows, error: updErr } = await supabase
+    // Fleet checkouts confirm every booking in the group. Only rows still
+    // waiting on this payment: an expired / cancelled hold may have given
+    // its stall away already.
+    let confirmQuery = supabase
       .from("bookings")
       .update({
         status: "confirmed",
@@ -296,22 +1314,40 @@ export async function stripeWebhookHandler(req, res) {
 
         // optional: once paid, hold no longer needed
         hold_expires_at: null,
-      })
-      .eq("id", bookingId)
-      .select()
-      .limit(1);
+      });
 
-    if (updErr || !rows || rows.length === 0) {
+    confirmQuery = groupId
+      ? confirmQuery.eq("booking_group_id", groupId)
+      : confirmQuery.eq("id", bookingId);
+
+    const { data: rows, error: updErr } = await confirmQuery
+      .eq("status", "pending_payment")
+      .select();
+
+    if (updErr) {
       console.error("Error updating booking on payment:", updErr);
       await notifyOwnerAlert(
-        `Error updating booking on payment: ${
-          updErr ? updErr.message : "no rows returned"
-        }`
+        `Error updating booking on payment: ${updErr.message}`
       );
       return res.send("ok");
     }
 
-    const booking = rows[0];
+    if (!rows || rows.length === 0) {
+      await refundUnconfirmablePayment(session, { bookingId, groupId });
+      return res.send("ok");
+    }
+
+    const booking = rows.find((r) => r.id === bookingId) || rows[0];
+
+    // Remember truck + plate so the next booking can skip those questions
+    await upsertDriverProfile(booking);
+
+    // Booked from a waitlist offer – take them off the list
+    await supabase
+      .from("waitlist_entries")
+      .update({ status: "booked", updated_at: nowIso })
+      .eq("offer_conversation_id", booking.conversation_id)
+      .eq("status", "offered");
 
     await supabase
       .from("conversations")
@@ -322,62 +1358,34 @@ export async function stripeWebhookHandler(req, res) {
       })
       .eq("id", booking.conversation_id);
 
-    const { data: lot, error: lotErr } = await supabase
-      .from("lots")
-      .select("*")
-      .eq("id", booking.lot_id)
-      .single();
-
-    if (lotErr) {
-      console.error("Error loading lot for confirmation:", lotErr);
-      await notifyOwnerAlert(
-        `Error loading lot for confirmation: ${lotErr.message}`
-      );
-    }
-
-    const lotName = lot?.name || "OpenYard lot";
-    const lotCode = lot?.lot_code || "";
-
-    const addressRaw = lot ? buildLotAddress(lot) : "";
-    const addressLine =
-      addressRaw && hasMeaningfulAddress(addressRaw) ? addressRaw : "";
-
-    const nav = lot
-      ? buildNavigateLink(lot)
-      : { url: "", gpsLine: "", used: "name" };
-    const navigateUrl = nav.url || "https://www.google.com/maps";
-    const gpsLine = nav.gpsLine || "";
-
-    const instructions =
-      lot && lot.parking_instructions
-        ? lot.parking_instructions
-        : "Park in marked truck stalls.";
-
-    const confirmMsg = templateConfirmation({
-      lotName,
-      lotCode,
-      datesLine: formatDateRange(booking.start_date, booking.end_date),
-      plate: booking.license_plate_raw || "",
-      addressLine,
-      navigateUrl,
-      gpsLine,
-      instructions,
+    const locale = await getConversationLocale(booking.conversation_id);
+    const {
+      lot,
+      message: confirmMsg,
+      codes,
+    } = await buildBookingConfirmation(booking, {
+      plates: rows.map((r) => r.license_plate_raw).filter(Boolean),
+      group: rows,
+      locale,
     });
 
-    await twilioClient.messages.create({
-      from: process.env.TWILIO_PHONE_NUMBER,
+    const { sent } = await sendSms({
       to: booking.driver_phone_e164,
       body: confirmMsg,
+      messageType: "confirmation",
+      conversationId: booking.conversation_id,
+      redact: codes,
     });
 
-    await logSms(
-      booking.conversation_id,
-      booking.driver_phone_e164,
-      "outbound",
-      confirmMsg
-    );
+    if (!sent) {
+      // Paid, but texted STOP – they won't get the address or gate code
+      await notifyOwnerAlert(
+        `Booking ${booking.id} confirmed but ${booking.driver_phone_e164} ` +
+          `has opted out of texts – confirmation not sent.`
+      );
+    }
 
-    const sendAtIso = computeReviewSendAt(lot);
+    const sendAtIso = computeReviewSendAt(lot, booking.end_date);
     const driverName = booking.driver_full_name || null;
 
     await supabase.from("scheduled_messages").insert({
@@ -387,6 +1395,7 @@ export async function stripeWebhookHandler(req, res) {
       driver_full_name: driverName,
       message_type: "review_nudge",
       send_at: sendAtIso,
+      due_at: sendAtIso,
     });
   }
 
@@ -1,10 +1,31 @@
 // scheduler/index.js
-import { supabase, logSms } from "../db/db.js";
-import { twilioClient, notifyOwnerAlert } from "../utils/index.js";
+import { DateTime } from "luxon";
 import {
-  buildNavigateLink,
-  formatDateRange, // (not used yet, but handy to keep)
-} from "../utils/lotLinks.js";
+  supabase,
+  updateConversation,
+  getConversationLocale,
+  getDriverLocale,
+  getDriverProfile,
+  pruneRateLimitHits,
+} from "../db/db.js";
+import {
+  sendSms,
+  notifyOwnerAlert,
+  todayIsoInZone,
+  arrivalNightLabel,
+  notifyLotOwner,
+  isPastNoShowHour,
+  deliveryDecision,
+  RATE_LIMITS,
+} from "../utils/index.js";
+import { buildNavigateLink, formatDateRange } from "../utils/lotLinks.js";
+import { t } from "../utils/messages.js";
+import { goToNextStep } from "../sms/states/index.js";
+import { renderLotMessage } from "../templates/index.js";
+import { releaseUnpaidBookings } from "../payments/index.js";
+
+// How long a waitlist offer stays open before it passes to the next driver
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES || 15);
 
 export async function runDueReviewMessages() {
   const nowIso = new Date().toISOString();
@@ -31,7 +52,7 @@ export async function runDueReviewMessages() {
       const { data: lot, error: lotErr } = await supabase
         .from("lots")
         .select(
-          "name, lot_code, region_label, review_url, address_line1, address_line2, city, state, zip, latitude, longitude"
+          "id, name, lot_code, region_label, review_url, address_line1, address_line2, city, state, zip, latitude, longitude, time_zone, parking_instructions, check_in_time"
         )
         .eq("id", msg.lot_id)
         .single();
@@ -56,10 +77,32 @@ export async function runDueReviewMessages() {
         continue;
       }
 
+      // Quiet hours (lot time): push to the next opening, or expire if stale
+      const delivery = deliveryDecision(msg, lot);
+
+      if (delivery.action === "defer") {
+        await supabase
+          .from("scheduled_messages")
+          .update({ send_at: delivery.sendAt })
+          .eq("id", msg.id);
+        continue;
+      }
+
+      if (delivery.action === "expire") {
+        await supabase
+          .from("scheduled_messages")
+          .update({
+            sent_at: new Date().toISOString(),
+            last_error: `expired: ${delivery.reason}`,
+          })
+          .eq("id", msg.id);
+        continue;
+      }
+
       // Fetch booking to get conversation_id and status
       const { data: bookingRows, error: bookingErr } = await supabase
         .from("bookings")
-        .select("conversation_id,status")
+        .select("conversation_id,status,checked_in_at,no_show_alerted_at")
         .eq("id", msg.booking_id)
         .limit(1);
 
@@ -98,45 +141,53 @@ export async function runDueReviewMessages() {
         continue;
       }
 
-      let firstName = "driver";
-      if (msg.driver_full_name) {
-        firstName = msg.driver_full_name.trim().split(/\s+/)[0] || "driver";
+      // Never showed up – nothing to review
+      if (booking.no_show_alerted_at && !booking.checked_in_at) {
+        await supabase
+          .from("scheduled_messages")
+          .update({
+            sent_at: new Date().toISOString(),
+            last_error: "skipped: no-show",
+          })
+          .eq("id", msg.id);
+        continue;
       }
 
-      const lotName = lot?.name || "OpenYard lot";
-      const lotCode = lot?.lot_code ? ` (${lot.lot_code})` : "";
+      const locale = await getConversationLocale(booking.conversation_id);
+
+      let firstName = t(locale, "defaultFirstName");
+      if (msg.driver_full_name) {
+        firstName = msg.driver_full_name.trim().split(/\s+/)[0] || firstName;
+      }
 
       const nav = lot ? buildNavigateLink(lot) : { url: "", gpsLine: "" };
-      const navigateUrl = nav.url || "";
 
       // Keep it short (review requests should be tight)
-      const body =
-        `Hey ${firstName} — quick favor? ` +
-        `If you have 15 seconds, please leave a review for ${lotName}${lotCode}. ` +
-        (navigateUrl ? `Navigate: ${navigateUrl} ` : "") +
-        `Review: ${reviewUrl} ` +
-        `Safe travels.`;
-
-      await twilioClient.messages.create({
-        from: process.env.TWILIO_PHONE_NUMBER,
+      const body = await renderLotMessage(lot, "review_nudge", {
+        firstName,
+        lotName: lot?.name || "OpenYard lot",
+        lotCode: lot?.lot_code || "",
+        navigateUrl: nav.url || "",
+        reviewUrl,
+        locale,
+      });
+
+      const { sent, reason } = await sendSms({
         to: msg.driver_phone_e164,
         body,
+        messageClass: "marketing",
+        messageType: "review_nudge",
+        conversationId: booking.conversation_id,
       });
 
       await supabase
         .from("scheduled_messages")
         .update({
           sent_at: new Date().toISOString(),
-          last_error: null,
+          last_error: sent ? null : `skipped: ${reason}`,
         })
         .eq("id", msg.id);
 
-      await logSms(
-        booking.conversation_id,
-        msg.driver_phone_e164,
-        "outbound",
-        body
-      );
     } catch (err) {
       console.error("Error sending scheduled message", msg.id, err);
       await notifyOwnerAlert(
@@ -152,6 +203,21 @@ export async function runDueReviewMessages() {
   }
 }
 
+// Rate-limit hits outside the sliding window are dead weight
+export async function pruneRateLimits() {
+  await pruneRateLimitHits(RATE_LIMITS.windowSeconds);
+}
+
+// Checkouts nobody paid for: free the stall once hold_expires_at passes
+// (Stripe's own expiry comes later – see CHECKOUT_EXPIRES_MINUTES)
+export async function expireBookingHolds() {
+  const released = await releaseUnpaidBookings({
+    holdExpiredBefore: new Date().toISOString(),
+    status: "expired",
+  });
+  if (released) console.log(`Released ${released} expired booking hold(s)`);
+}
+
 export async function expireIdleConversations(maxMinutes = 30) {
   const cutoffIso = new Date(Date.now() - maxMinutes * 60 * 1000).toISOString();
 
@@ -169,3 +235,326 @@ export async function expireIdleConversations(maxMinutes = 30) {
     console.error("Error expiring idle conversations:", error);
   }
 }
+
+// ---------- no-shows ----------
+
+// Paid bookings with no ARRIVED by the lot's no-show hour → alert the owner once
+export async function runNoShowAlerts() {
+  // A day of slack either side: each lot's own date is checked below
+  const today = DateTime.fromISO(todayIsoInZone());
+  const { data: candidates, error } = await supabase
+    .from("bookings")
+    .select("*")
+    .eq("status", "confirmed")
+    .is("checked_in_at", null)
+    .is("no_show_alerted_at", null)
+    .lte("start_date", today.plus({ days: 1 }).toISODate())
+    .gte("end_date", today.minus({ days: 1 }).toISODate())
+    .limit(100);
+
+  if (error) {
+    console.error("Error fetching no-show candidates:", error);
+    await notifyOwnerAlert(
+      `Error fetching no-show candidates: ${error.message}`
+    );
+    return;
+  }
+
+  if (!candidates || candidates.length === 0) return;
+
+  const lotIds = [...new Set(candidates.map((b) => b.lot_id))];
+  const { data: lots } = await supabase
+    .from("lots")
+    .select("*")
+    .in("id", lotIds);
+  const lotsById = new Map((lots || []).map((lot) => [lot.id, lot]));
+
+  for (const booking of candidates) {
+    const lot = lotsById.get(booking.lot_id);
+    const lotToday = todayIsoInZone(lot?.time_zone);
+
+    // Arrival day not reached in the lot's zone yet, or before the cutoff
+    // hour; stays already over there are no longer no-shows
+    if (booking.start_date > lotToday) continue;
+    if (booking.end_date < lotToday) continue;
+    if (booking.start_date === lotToday && !isPastNoShowHour(lot)) continue;
+
+    await notifyLotOwner(
+      lot,
+      `No-show: ${booking.driver_full_name || "driver"} (plate ${
+        booking.license_plate_raw || "?"
+      }) hasn't checked in at ${lot?.name || "lot"} for ${formatDateRange(
+        booking.start_date,
+        booking.end_date
+      )}. Driver: ${booking.driver_phone_e164}`
+    );
+
+    await supabase
+      .from("bookings")
+      .update({ no_show_alerted_at: new Date().toISOString() })
+      .eq("id", booking.id);
+  }
+}
+
+// ---------- waitlist ----------
+
+async function getStallsLeftOnNight(lotId, stayDate, tz) {
+  const nextDay = DateTime.fromISO(stayDate).plus({ days: 1 }).toISODate();
+
+  try {
+    const { data, error } =
+      stayDate === todayIsoInZone(tz)
+        ? await supabase.rpc("openyard_stalls_left", { p_lot_id: lotId })
+        : await supabase.rpc("openyard_stalls_left_range", {
+            p_lot_id: lotId,
+            p_start_date: stayDate,
+            p_end_date: nextDay,
+          });
+    if (error) throw error;
+    return typeof data === "number" ? data : null;
+  } catch (err) {
+    console.error("Waitlist stalls-left RPC error:", err);
+    return null;
+  }
+}
+
+async function sendSchedulerSms(
+  conversationId,
+  phone,
+  body,
+  messageType = "scheduler_notice"
+) {
+  const { sent } = await sendSms({
+    to: phone,
+    body,
+    messageType,
+    conversationId,
+  });
+  return sent;
+}
+
+// Offers nobody acted on pass to the next driver in line
+async function expireWaitlistOffers() {
+  const nowIso = new Date().toISOString();
+
+  const { data: stale, error } = await supabase
+    .from("waitlist_entries")
+    .update({ status: "expired", updated_at: nowIso })
+    .eq("status", "offered")
+    .lte("offer_expires_at", nowIso)
+    .select();
+
+  if (error) {
+    console.error("Error expiring waitlist offers:", error);
+    return;
+  }
+
+  for (const entry of stale || []) {
+    const { data: conv } = await supabase
+      .from("conversations")
+      .select("id, is_active, current_state, locale")
+      .eq("id", entry.offer_conversation_id)
+      .single();
+
+    // Already checking out – the booking hold takes over from here
+    if (
+      !conv ||
+      !conv.is_active ||
+      conv.current_state === "awaiting_payment"
+    ) {
+      continue;
+    }
+
+    await updateConversation(conv.id, {
+      is_active: false,
+      current_state: "expired",
+    });
+
+    const { data: lot } = await supabase
+      .from("lots")
+      .select("name")
+      .eq("id", entry.lot_id)
+      .single();
+
+    await sendSchedulerSms(
+      conv.id,
+      entry.driver_phone_e164,
+      t(conv.locale, "waitlistOfferExpired", {
+        lotName: lot?.name || "OpenYard lot",
+      })
+    );
+  }
+}
+
+// New conversation pre-filled from the one they joined the waitlist from,
+// so goToNextStep lands on the summary (or the first question still missing)
+async function sendWaitlistOffer(entry, lot) {
+  const phone = entry.driver_phone_e164;
+
+  // Don't interrupt a driver who is in the middle of another booking
+  const { count: activeCount } = await supabase
+    .from("conversations")
+    .select("*", { count: "exact", head: true })
+    .eq("driver_phone_e164", phone)
+    .eq("is_active", true);
+  if (activeCount) return false;
+
+  const { data: source } = await supabase
+    .from("conversations")
+    .select("*")
+    .eq("id", entry.conversation_id)
+    .single();
+
+  // Drivers often join the waitlist before giving their truck details, so
+  // fill the gaps from their profile rather than asking again
+  const profile = (await getDriverProfile(phone)) || {};
+  const detail = (field) => source?.[field] || profile[field] || null;
+
+  const locale = source?.locale || (await getDriverLocale(phone));
+  const nowIso = new Date().toISOString();
+
+  const { data: offerConv, error: convErr } = await supabase
+    .from("conversations")
+    .insert({
+      driver_phone_e164: phone,
+      current_state: "awaiting_summary_confirmation",
+      is_active: true,
+      locale,
+      last_inbound_at: nowIso,
+      arrival_date: entry.stay_date,
+      lot_id: lot.id,
+      driver_full_name: detail("driver_full_name"),
+      truck_type: detail("truck_type"),
+      truck_make_model: detail("truck_make_model"),
+      license_plate_raw: detail("license_plate_raw"),
+      fleet_vehicles: source?.fleet_vehicles || [],
+      stay_type: source?.stay_type || null,
+      nights: source?.nights || null,
+      waitlist_entry_id: entry.id,
+    })
+    .select()
+    .single();
+
+  if (convErr || !offerConv) {
+    throw new Error(
+      `could not create offer conversation: ${
+        convErr ? convErr.message : "no row returned"
+      }`
+    );
+  }
+
+  await supabase
+    .from("waitlist_entries")
+    .update({
+      status: "offered",
+      offered_at: nowIso,
+      offer_expires_at: new Date(
+        Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000
+      ).toISOString(),
+      offer_conversation_id: offerConv.id,
+      updated_at: nowIso,
+    })
+    .eq("id", entry.id);
+
+  const body =
+    t(locale, "waitlistOffer", {
+      lotName: lot.name,
+      nightLabel: arrivalNightLabel(entry.stay_date, lot.time_zone, locale),
+      minutes: WAITLIST_OFFER_MINUTES,
+    }) +
+    "\n\n" +
+    (await goToNextStep(offerConv.id));
+
+  const sent = await sendSchedulerSms(
+    offerConv.id,
+    phone,
+    body,
+    "waitlist_offer"
+  );
+  if (sent) return true;
+
+  // The driver never got the offer (opted out, bad number): drop them so the
+  // stall goes to the next one in line
+  await supabase
+    .from("waitlist_entries")
+    .update({ status: "expired", updated_at: new Date().toISOString() })
+    .eq("id", entry.id);
+  await updateConversation(offerConv.id, {
+    is_active: false,
+    current_state: "expired",
+  });
+  return false;
+}
+
+// Freed stalls (expired holds, cancellations) go to waitlisted drivers in order
+export async function runWaitlistOffers() {
+  await expireWaitlistOffers();
+
+  // Nights already past can't be offered any more
+  await supabase
+    .from("waitlist_entries")
+    .update({ status: "expired", updated_at: new Date().toISOString() })
+    .eq("status", "waiting")
+    .lt("stay_date", todayIsoInZone());
+
+  const { data: waiting, error } = await supabase
+    .from("waitlist_entries")
+    .select("*")
+    .eq("status", "waiting")
+    .order("created_at", { ascending: true })
+    .limit(100);
+
+  if (error) {
+    console.error("Error fetching waitlist:", error);
+    await notifyOwnerAlert(`Error fetching waitlist: ${error.message}`);
+    return;
+  }
+
+  // Queue per lot + night, oldest first
+  const queues = new Map();
+  for (const entry of waiting || []) {
+    const key = `${entry.lot_id}|${entry.stay_date}`;
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(entry);
+  }
+
+  for (const queue of queues.values()) {
+    const { lot_id: lotId, stay_date: stayDate } = queue[0];
+
+    try {
+      const { data: lot } = await supabase
+        .from("lots")
+        .select("*")
+        .eq("id", lotId)
+        .single();
+      if (!lot || !lot.is_active || !lot.accepting_bookings) continue;
+
+      const stallsLeft = await getStallsLeftOnNight(
+        lot.id,
+        stayDate,
+        lot.time_zone
+      );
+      if (typeof stallsLeft !== "number" || stallsLeft <= 0) continue;
+
+      // One open offer per free stall
+      const { count: openOffers } = await supabase
+        .from("waitlist_entries")
+        .select("*", { count: "exact", head: true })
+        .eq("lot_id", lot.id)
+        .eq("stay_date", stayDate)
+        .eq("status", "offered");
+
+      let available = stallsLeft - (openOffers || 0);
+
+      for (const entry of queue) {
+        if (available <= 0) break;
+        if (await sendWaitlistOffer(entry, lot)) available -= 1;
+      }
+    } catch (err) {
+      console.error("Error sending waitlist offers", lotId, stayDate, err);
+      await notifyOwnerAlert(
+        `Error sending waitlist offers (lot ${lotId}, ${stayDate}): ${err.message}`
+      );
+    }
+  }
+}
@@ -1,18 +1,39 @@
 // server.js – thin Express boot, routes, and health/status
 
 import 'dotenv/config';
+import { createHash, timingSafeEqual } from 'node:crypto';
 import express from 'express';
 import { stripeWebhookHandler } from './payments/index.js';
-import { twilioWebhookHandler } from './sms/handler.js';
+import {
+  twilioWebhookHandler,
+  webChatMessageHandler,
+  webChatPollHandler,
+} from './sms/handler.js';
 import {
   runDueReviewMessages,
   expireIdleConversations,
+  runWaitlistOffers,
+  runNoShowAlerts,
+  pruneRateLimits,
+  expireBookingHolds,
 } from './scheduler/index.js';
+import {
+  saveLotTemplateHandler,
+  deleteLotTemplateHandler,
+  previewLotTemplateHandler,
+} from './templates/index.js';
 import { supabase } from './db/db.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Behind a load balancer req.ip is the proxy unless told how many hops to
+// trust (web chat is rate limited per client IP – sms/channels/webChat.js)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Stripe webhook (raw body)
 app.post(
   '/webhooks/stripe',
@@ -24,14 +45,51 @@ app.post(
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
-// Twilio inbound SMS
+// Twilio inbound SMS + WhatsApp
 app.post('/webhooks/twilio', twilioWebhookHandler);
 
+// Web chat widget (JSON)
+app.post('/webchat/messages', webChatMessageHandler);
+app.get('/webchat/messages', webChatPollHandler);
+
+// Lot owner tools – bearer ADMIN_API_TOKEN; off when it isn't set.
+// Digests are compared so any header (multibyte too) is a fixed-size input.
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+function requireAdminToken(req, res, next) {
+  const token = process.env.ADMIN_API_TOKEN;
+  const given = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const ok = Boolean(token) && timingSafeEqual(sha256(given), sha256(token));
+  if (!ok) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  return next();
+}
+
+// Per-lot message templates (see templates/index.js)
+app.put(
+  '/admin/lots/:lotId/templates/:key',
+  requireAdminToken,
+  saveLotTemplateHandler
+);
+app.delete(
+  '/admin/lots/:lotId/templates/:key',
+  requireAdminToken,
+  deleteLotTemplateHandler
+);
+app.post(
+  '/admin/lots/:lotId/templates/:key/preview',
+  requireAdminToken,
+  previewLotTemplateHandler
+);
+
 // Healthcheck – also runs background tasks
 app.get('/healthz', async (req, res) => {
   try {
+    await expireBookingHolds();
     await expireIdleConversations(30);
     await runDueReviewMessages();
+    await runWaitlistOffers();
+    await runNoShowAlerts();
+    await pruneRateLimits();
     return res.json({ ok: true });
   } catch (err) {
     console.error('healthz error:', err);
@@ -0,0 +1,30 @@
+// sms/channels/index.js – where a driver's messages come from and go to
+//
+// Every channel adapter has the same shape:
+//   name                    – "sms" | "whatsapp" | "web"
+//   ownsAddress(address)    – true for addresses this channel delivers to
+//   verifyRequest(req)      – false → reject the request (forged sender)
+//   parseInbound(req)       – { address, text, rawPayload, messageId }
+//   renderReply(res, texts) – answer the inbound HTTP request (texts already
+//                             shaped by prepareReply; may be empty)
+//   send({ to, body })      – deliver a message later on; returns { sid }
+//
+// The conversation engine only ever sees the address string, so state
+// handlers stay the same whichever channel the driver uses.
+import { smsChannel, whatsappChannel } from "./twilio.js";
+import { webChatChannel } from "./webChat.js";
+
+// Checked in order – SMS last, it takes any plain phone number
+export const channels = [whatsappChannel, webChatChannel, smsChannel];
+
+export function channelForAddress(address) {
+  const value = String(address || "");
+  return channels.find((c) => c.ownsAddress(value));
+}
+
+// Outbound through whichever channel owns the address (see sendSms)
+export async function deliver({ to, body }) {
+  return channelForAddress(to).send({ to, body });
+}
+
+export { smsChannel, whatsappChannel, webChatChannel };
@@ -0,0 +1,103 @@
+// sms/channels/twilio.js – Twilio SMS and WhatsApp adapters
+//
+// Both arrive on the same Twilio webhook and answer with TwiML; WhatsApp
+// senders show up as "whatsapp:+1555…" and that prefixed form is the
+// driver's address everywhere (conversations, bookings, outbound sends).
+import "dotenv/config";
+import twilio from "twilio";
+
+const WHATSAPP_PREFIX = "whatsapp:";
+
+const twilioClient = twilio(
+  process.env.TWILIO_ACCOUNT_SID,
+  process.env.TWILIO_AUTH_TOKEN
+);
+
+// Local dev only (ngrok URLs change, curl has no signature). Ignored when
+// NODE_ENV=production so a stray .env line can't open the webhook.
+const skipSignatureCheck =
+  process.env.TWILIO_SKIP_SIGNATURE_CHECK === "true" &&
+  process.env.NODE_ENV !== "production";
+
+if (skipSignatureCheck) {
+  console.warn(
+    "⚠️  TWILIO_SKIP_SIGNATURE_CHECK=true – Twilio webhook signatures are NOT verified"
+  );
+} else if (process.env.TWILIO_SKIP_SIGNATURE_CHECK === "true") {
+  console.warn(
+    "TWILIO_SKIP_SIGNATURE_CHECK ignored with NODE_ENV=production – signatures are verified"
+  );
+}
+
+// The URL Twilio signed: PUBLIC_BASE_URL + path when behind a proxy / tunnel
+function signedUrl(req) {
+  const base =
+    process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get("host")}`;
+  return base.replace(/\/+$/, "") + req.originalUrl;
+}
+
+// X-Twilio-Signature check against the public webhook URL
+function verifyTwilioRequest(req) {
+  if (skipSignatureCheck) return true;
+
+  const signature = req.get("X-Twilio-Signature");
+  if (!signature) return false;
+
+  return twilio.validateRequest(
+    process.env.TWILIO_AUTH_TOKEN,
+    signature,
+    signedUrl(req),
+    req.body || {}
+  );
+}
+
+function parseTwilioInbound(req) {
+  return {
+    address: (req.body.From || "").trim(),
+    text: (req.body.Body || "").trim(),
+    rawPayload: req.body,
+    messageId: req.body.MessageSid || null,
+  };
+}
+
+function renderTwiml(res, replies) {
+  // No replies = nothing to say (e.g. relayed to the support operator)
+  const twiml = new twilio.twiml.MessagingResponse();
+  for (const reply of replies) twiml.message(reply);
+  return res.type("text/xml").send(twiml.toString());
+}
+
+export const smsChannel = {
+  name: "sms",
+  // Plain phone numbers – anything the other channels don't claim
+  ownsAddress: () => true,
+  verifyRequest: verifyTwilioRequest,
+  parseInbound: parseTwilioInbound,
+  renderReply: renderTwiml,
+  async send({ to, body }) {
+    const message = await twilioClient.messages.create({
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to,
+      body,
+    });
+    return { sid: message.sid };
+  },
+};
+
+export const whatsappChannel = {
+  name: "whatsapp",
+  ownsAddress: (address) => address.startsWith(WHATSAPP_PREFIX),
+  verifyRequest: verifyTwilioRequest,
+  parseInbound: parseTwilioInbound,
+  renderReply: renderTwiml,
+  async send({ to, body }) {
+    const number =
+      process.env.TWILIO_WHATSAPP_NUMBER || process.env.TWILIO_PHONE_NUMBER;
+    const message = await twilioClient.messages.create({
+      from: `${WHATSAPP_PREFIX}${number}`,
+      to,
+      body,
+    });
+    return { sid: message.sid };
+  },
+};
@@ -0,0 +1,79 @@
+// sms/channels/webChat.js – JSON web-chat widget
+//
+// The widget keeps a random session id and POSTs { sessionId, text }; the
+// reply comes back in the response. Messages sent later (payment
+// confirmation, waitlist offers, support replies) wait in web_chat_messages
+// until the widget polls for them. Address: "web:<sessionId>".
+import { supabase } from "../../db/db.js";
+
+const WEB_PREFIX = "web:";
+
+// Long enough that nobody can guess someone else's session
+const sessionIdRe = /^[A-Za-z0-9_-]{16,64}$/;
+
+export function webChatAddress(sessionId) {
+  const id = String(sessionId || "").trim();
+  return sessionIdRe.test(id) ? `${WEB_PREFIX}${id}` : null;
+}
+
+// Queued messages for a session, oldest first; marks them delivered
+export async function takeWebChatMessages(address) {
+  const { data, error } = await supabase
+    .from("web_chat_messages")
+    .select("id, body, created_at")
+    .eq("address", address)
+    .is("delivered_at", null)
+    .order("created_at", { ascending: true })
+    .limit(50);
+
+  if (error) {
+    console.error("Error loading web chat messages:", error);
+    return [];
+  }
+  if (!data || data.length === 0) return [];
+
+  await supabase
+    .from("web_chat_messages")
+    .update({ delivered_at: new Date().toISOString() })
+    .in(
+      "id",
+      data.map((m) => m.id)
+    );
+
+  return data.map((m) => ({ text: m.body, sentAt: m.created_at }));
+}
+
+export const webChatChannel = {
+  name: "web",
+  ownsAddress: (address) => address.startsWith(WEB_PREFIX),
+  // The session id is the credential (see sessionIdRe)
+  verifyRequest: () => true,
+  parseInbound(req) {
+    const address = webChatAddress(req.body?.sessionId);
+    const messageId = String(req.body?.messageId || "").trim();
+    return {
+      address,
+      // Anyone can mint session ids – the client IP is what's rate limited
+      clientKey: req.ip ? `webip:${req.ip}` : null,
+      text: String(req.body?.text || "").trim(),
+      // Optional client-generated id so widget retries aren't handled twice
+      messageId: address && messageId ? `${address}:${messageId}` : null,
+      rawPayload: address
+        ? { channel: "web", sessionId: req.body.sessionId, text: req.body.text }
+        : null,
+    };
+  },
+  renderReply(res, replies) {
+    return res.json({ ok: true, replies });
+  },
+  async send({ to, body }) {
+    const { data, error } = await supabase
+      .from("web_chat_messages")
+      .insert({ address: to, body })
+      .select("id")
+      .single();
+
+    if (error) throw new Error(`web chat queue: ${error.message}`);
+    return { sid: `web-${data.id}` };
+  },
+};
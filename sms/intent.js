@@ -0,0 +1,129 @@
+// sms/intent.js – pull booking details out of a free-form first message
+//
+// "need parking Bozeman MT 3 nights semi" → location "Bozeman MT", 3 nights,
+// truck_type "semi". Whatever is left after removing recognised slots and
+// filler words is treated as the location / lot code candidate.
+
+import { parseArrivalDate } from "../utils/index.js";
+
+// Parking-specific words only – "I need help with my booking" is not a request
+const intentWordsRe =
+  /\b(park|parking|spot|spots|stall|stalls|space|reserve|estacionamiento|estacionar|lugar)\b/i;
+
+const fillerWords = new Set([
+  "i", "im", "i'm", "need", "needs", "want", "looking", "for", "a", "an",
+  "the", "to", "in", "at", "near", "around", "by", "please", "pls", "some",
+  "parking", "park", "spot", "spots", "stall", "stalls", "space", "truck",
+  "book", "booking", "reserve", "reservation", "can", "you", "do", "have",
+  "got", "any", "is", "there", "me", "my", "and", "with", "hi", "hello",
+  "hey", "on", "from", "of", "starting", "arriving",
+  // Spanish
+  "necesito", "quiero", "estacionamiento", "estacionar", "lugar", "para",
+  "un", "una", "en", "cerca", "de", "por", "favor", "hola", "mi", "camion",
+  "camión", "reservacion", "reservación", "llego", "llegando",
+]);
+
+const numberWords = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7,
+  eight: 8, nine: 9, ten: 10, a: 1, an: 1,
+  un: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7,
+};
+
+const truckTypePatterns = [
+  {
+    re: /\b(semi|tractor[- ]trailer|18[- ]wheeler|big rig|tractocami[oó]n)\b/i,
+    type: "semi",
+  },
+  { re: /\bbob[- ]?tail\b/i, type: "bobtail" },
+  { re: /\bhot[- ]?shot\b/i, type: "hotshot" },
+];
+
+// Short weekdays only after "on"/"this"/"next" so "Sun City AZ" stays a location
+const dateTokenRe =
+  /\b(?:(?:on|this|next|el|este)\s+(mon|tue|tues|wed|thu|thur|thurs|fri|sat|sun|lun|mar|mie|jue|vie|sab|dom)|(today|tonight|tomorrow|tmrw|hoy|ma[nñ]ana|monday|tuesday|wednesday|thursday|friday|saturday|sunday|lunes|martes|miercoles|jueves|viernes|sabado|domingo|\d{1,2}\/\d{1,2}(?:\/\d{2,4})?))\b/i;
+
+function stayTypeForNights(nights) {
+  if (nights === 1) return "overnight";
+  if (nights === 7) return "weekly";
+  if (nights === 30) return "monthly";
+  return "custom";
+}
+
+/**
+ * Returns null when the text doesn't look like a booking request, otherwise
+ * { fields, location, hasIntentWord } where fields are conversation columns
+ * to pre-fill and location is the leftover text to run through the lot
+ * lookups (or null). Without a parking word (hasIntentWord false) a date or
+ * truck word alone proves nothing – callers must check the location first.
+ */
+export function extractBookingIntent(text) {
+  let rest = ` ${String(text || "").replace(/\s+/g, " ").trim()} `;
+  if (!rest.trim()) return null;
+
+  const hasIntentWord = intentWordsRe.test(rest);
+  const fields = {};
+
+  const take = (re) => {
+    const m = rest.match(re);
+    if (m) rest = rest.replace(m[0], " ");
+    return m;
+  };
+
+  // Plate only when labelled – "plate MT 7-XYZ456" / "placa ABC123"
+  const plateMatch = take(
+    /\b(?:plate|placa|tag)s?\s*(?:is\s+|es\s+)?[:#]?\s*([A-Z]{2}\s+)?([A-Z0-9][A-Z0-9-]{2,9})\b/i
+  );
+  if (plateMatch) {
+    fields.license_plate_raw = `${plateMatch[1] || ""}${plateMatch[2]}`
+      .trim()
+      .toUpperCase();
+  }
+
+  const nightsMatch = take(
+    /\b(\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|a|an|un|una|dos|tres|cuatro|cinco|seis|siete)\s*(nights?|nts?|days?|noches?|d[ií]as?)\b/i
+  );
+  const weekMatch =
+    !nightsMatch && take(/\b(a |one |1 |una )?(week|weekly|semana)\b/i);
+  const monthMatch =
+    !nightsMatch &&
+    !weekMatch &&
+    take(/\b(a |one |1 |un )?(month|monthly|mes)\b/i);
+
+  let nights = null;
+  if (nightsMatch) {
+    const raw = nightsMatch[1].toLowerCase();
+    nights = numberWords[raw] || parseInt(raw, 10);
+  } else if (weekMatch) {
+    nights = 7;
+  } else if (monthMatch) {
+    nights = 30;
+  }
+  if (nights && nights >= 1 && nights <= 90) {
+    fields.nights = nights;
+    fields.stay_type = stayTypeForNights(nights);
+  }
+
+  for (const { re, type } of truckTypePatterns) {
+    if (take(re)) {
+      fields.truck_type = type;
+      break;
+    }
+  }
+
+  const dateMatch = take(dateTokenRe);
+  if (dateMatch) {
+    const parsed = parseArrivalDate(dateMatch[1] || dateMatch[2]);
+    if (parsed.date) fields.arrival_date = parsed.date;
+  }
+
+  if (!hasIntentWord && Object.keys(fields).length === 0) return null;
+
+  const leftover = rest
+    .replace(/[.,!?¿¡]/g, " ")
+    .split(/\s+/)
+    .filter((w) => w && !fillerWords.has(w.toLowerCase()))
+    .join(" ")
+    .trim();
+
+  return { fields, location: leftover || null, hasIntentWord };
+}
@@ -0,0 +1,79 @@
+// sms/simulator/fakes/stripe.js – in-memory stand-in for the stripe package
+//
+// Checkout sessions are kept in `checkoutSessions` so the simulator can
+// "pay" one (/pay) by feeding a checkout.session.completed event to the
+// real webhook handler. constructEvent skips signature checks.
+
+export const checkoutSessions = [];
+export const refunds = [];
+
+let nextId = 1;
+
+export default class Stripe {
+  constructor() {
+    this.checkout = {
+      sessions: {
+        async create(params) {
+          const id = `cs_sim_${nextId++}`;
+          const session = {
+            id,
+            object: "checkout.session",
+            url: `https://checkout.stripe.test/${id}`,
+            status: "open",
+            payment_status: "unpaid",
+            amount_total: (params.line_items || []).reduce(
+              (sum, item) =>
+                sum + item.quantity * (item.price_data?.unit_amount || 0),
+              0
+            ),
+            metadata: params.metadata || {},
+            created: Math.floor(Date.now() / 1000),
+            expires_at: params.expires_at || null,
+          };
+          checkoutSessions.push(session);
+          return session;
+        },
+
+        async expire(id) {
+          const session = checkoutSessions.find((s) => s.id === id);
+          if (!session) throw new Error(`No such checkout.session: ${id}`);
+          session.status = "expired";
+          return session;
+        },
+
+        async retrieve(id) {
+          const session = checkoutSessions.find((s) => s.id === id);
+          if (!session) throw new Error(`No such checkout.session: ${id}`);
+          return session;
+        },
+      },
+    };
+
+    this.refunds = {
+      async create(params) {
+        const refund = { id: `re_sim_${nextId++}`, status: "succeeded", ...params };
+        refunds.push(refund);
+        return refund;
+      },
+    };
+
+    this.webhooks = {
+      constructEvent(body) {
+        return JSON.parse(Buffer.isBuffer(body) ? body.toString("utf8") : body);
+      },
+    };
+  }
+}
+
+// Mark the session paid and build the event Stripe would send
+export function completedEvent(session) {
+  session.status = "complete";
+  session.payment_status = "paid";
+  session.payment_intent = session.payment_intent || `pi_sim_${nextId++}`;
+  session.customer = session.customer || "cus_sim";
+  return {
+    id: `evt_sim_${nextId++}`,
+    type: "checkout.session.completed",
+    data: { object: session },
+  };
+}
@@ -0,0 +1,323 @@
+// sms/simulator/fakes/supabase.js – in-memory stand-in for @supabase/supabase-js
+//
+// Covers the query builder calls the app makes (select / insert / update /
+// upsert, eq / neq / is / in / gt(e) / lt(e) / not / ilike / or, order,
+// limit, single / maybeSingle, count + head) and the two capacity RPCs.
+// Tables are plain arrays in `tables`, created on first use.
+import { randomUUID } from "node:crypto";
+import { DateTime } from "luxon";
+
+export const tables = {};
+
+function table(name) {
+  if (!tables[name]) tables[name] = [];
+  return tables[name];
+}
+
+export function resetTables(seed = {}) {
+  for (const name of Object.keys(tables)) delete tables[name];
+  for (const [name, rows] of Object.entries(seed)) {
+    tables[name] = rows.map((row) => ({ ...row }));
+  }
+}
+
+function likeToRegExp(pattern) {
+  const escaped = String(pattern).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^${escaped.replace(/%/g, ".*").replace(/_/g, ".")}$`, "i");
+}
+
+const operators = {
+  eq: (a, b) => a === b || (a != null && b != null && String(a) === String(b)),
+  neq: (a, b) => !operators.eq(a, b),
+  is: (a, b) => (b === null || b === "null" ? a == null : a === b),
+  in: (a, list) => list.some((b) => operators.eq(a, b)),
+  gt: (a, b) => a != null && a > b,
+  gte: (a, b) => a != null && a >= b,
+  lt: (a, b) => a != null && a < b,
+  lte: (a, b) => a != null && a <= b,
+  ilike: (a, p) => a != null && likeToRegExp(p).test(String(a)),
+  like: (a, p) => a != null && likeToRegExp(p).test(String(a)),
+};
+
+function pick(row, columns) {
+  if (!columns || columns.trim() === "*") return { ...row };
+  const out = {};
+  for (const col of columns.split(",").map((c) => c.trim()).filter(Boolean)) {
+    out[col] = row[col] === undefined ? null : row[col];
+  }
+  return out;
+}
+
+class Query {
+  constructor(tableName) {
+    this.tableName = tableName;
+    this.action = "select";
+    this.filters = [];
+    this.columns = "*";
+    this.returning = false;
+  }
+
+  // ----- actions -----
+
+  select(columns = "*", { count, head } = {}) {
+    this.columns = columns;
+    if (this.action === "select") {
+      this.count = count;
+      this.head = head;
+    } else {
+      this.returning = true;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = "insert";
+    this.values = values;
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.values = values;
+    return this;
+  }
+
+  upsert(values, { onConflict = "id" } = {}) {
+    this.action = "upsert";
+    this.values = values;
+    this.conflictColumns = onConflict.split(",").map((c) => c.trim());
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  // ----- filters -----
+
+  filterBy(column, op, value) {
+    this.filters.push((row) => operators[op](row[column], value));
+    return this;
+  }
+
+  eq(column, value) {
+    return this.filterBy(column, "eq", value);
+  }
+
+  neq(column, value) {
+    return this.filterBy(column, "neq", value);
+  }
+
+  is(column, value) {
+    return this.filterBy(column, "is", value);
+  }
+
+  in(column, values) {
+    return this.filterBy(column, "in", values);
+  }
+
+  gt(column, value) {
+    return this.filterBy(column, "gt", value);
+  }
+
+  gte(column, value) {
+    return this.filterBy(column, "gte", value);
+  }
+
+  lt(column, value) {
+    return this.filterBy(column, "lt", value);
+  }
+
+  lte(column, value) {
+    return this.filterBy(column, "lte", value);
+  }
+
+  ilike(column, pattern) {
+    return this.filterBy(column, "ilike", pattern);
+  }
+
+  not(column, op, value) {
+    this.filters.push((row) => !operators[op](row[column], value));
+    return this;
+  }
+
+  // "lot_code.ilike.ABC,slug.ilike.abc" – any of the conditions
+  or(expression) {
+    const conditions = expression.split(",").map((part) => {
+      const [column, op, ...rest] = part.split(".");
+      return { column, op, value: rest.join(".") };
+    });
+    this.filters.push((row) =>
+      conditions.some(({ column, op, value }) =>
+        operators[op](row[column], value)
+      )
+    );
+    return this;
+  }
+
+  // ----- modifiers -----
+
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  limit(n) {
+    this.max = n;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybe";
+    return this;
+  }
+
+  // ----- execution -----
+
+  matches(row) {
+    return this.filters.every((f) => f(row));
+  }
+
+  run() {
+    const rows = table(this.tableName);
+    const nowIso = new Date().toISOString();
+    let result = [];
+
+    if (this.action === "select" || this.action === "delete") {
+      result = rows.filter((row) => this.matches(row));
+      if (this.action === "delete") {
+        tables[this.tableName] = rows.filter((row) => !result.includes(row));
+      }
+    } else if (this.action === "insert") {
+      const values = Array.isArray(this.values) ? this.values : [this.values];
+      for (const value of values) {
+        const row = { id: randomUUID(), created_at: nowIso, ...value };
+        rows.push(row);
+        result.push(row);
+      }
+    } else if (this.action === "update") {
+      for (const row of rows) {
+        if (!this.matches(row)) continue;
+        Object.assign(row, this.values);
+        result.push(row);
+      }
+    } else if (this.action === "upsert") {
+      const values = Array.isArray(this.values) ? this.values : [this.values];
+      for (const value of values) {
+        const existing = rows.find((row) =>
+          this.conflictColumns.every((c) => operators.eq(row[c], value[c]))
+        );
+        if (existing) {
+          Object.assign(existing, value);
+          result.push(existing);
+        } else {
+          const row = { id: randomUUID(), created_at: nowIso, ...value };
+          rows.push(row);
+          result.push(row);
+        }
+      }
+    }
+
+    if (this.ordering) {
+      const { column, ascending } = this.ordering;
+      result = [...result].sort((a, b) => {
+        if (a[column] === b[column]) return 0;
+        if (a[column] == null) return 1;
+        if (b[column] == null) return -1;
+        return (a[column] < b[column] ? -1 : 1) * (ascending ? 1 : -1);
+      });
+    }
+
+    const count = result.length;
+    if (this.max != null) result = result.slice(0, this.max);
+
+    const wantsRows = this.action === "select" || this.returning;
+    let data = wantsRows ? result.map((row) => pick(row, this.columns)) : null;
+
+    if (this.head) data = null;
+
+    if (this.singleMode && wantsRows) {
+      if (data.length === 1) {
+        data = data[0];
+      } else if (data.length === 0 && this.singleMode === "maybe") {
+        data = null;
+      } else {
+        return {
+          data: null,
+          error: {
+            code: "PGRST116",
+            message: `JSON object requested, ${data.length} rows returned`,
+          },
+          count: null,
+        };
+      }
+    }
+
+    return { data, error: null, count: this.count ? count : null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.run())
+      .then(resolve, reject);
+  }
+}
+
+// ----- capacity RPCs -----
+//
+// lots.total_stalls minus bookings holding a stall that night (confirmed,
+// or pending_payment with a live hold). end_date is the check-out day.
+
+function stallsLeftOn(lot, night) {
+  const now = new Date().toISOString();
+  const taken = table("bookings").filter(
+    (b) =>
+      b.lot_id === lot.id &&
+      b.start_date <= night &&
+      b.end_date > night &&
+      (b.status === "confirmed" ||
+        (b.status === "pending_payment" && b.hold_expires_at > now))
+  ).length;
+  return Math.max(0, Number(lot.total_stalls || 0) - taken);
+}
+
+const rpcs = {
+  openyard_stalls_left({ p_lot_id }) {
+    const lot = table("lots").find((l) => l.id === p_lot_id);
+    if (!lot) return null;
+    const tonight = DateTime.now().setZone(lot.time_zone || "UTC").toISODate();
+    return stallsLeftOn(lot, tonight);
+  },
+
+  openyard_stalls_left_range({ p_lot_id, p_start_date, p_end_date }) {
+    const lot = table("lots").find((l) => l.id === p_lot_id);
+    if (!lot) return null;
+
+    let min = Infinity;
+    let night = DateTime.fromISO(p_start_date);
+    const end = DateTime.fromISO(p_end_date);
+    do {
+      min = Math.min(min, stallsLeftOn(lot, night.toISODate()));
+      night = night.plus({ days: 1 });
+    } while (night < end);
+    return min;
+  },
+};
+
+export function createClient() {
+  return {
+    from: (tableName) => new Query(tableName),
+    async rpc(name, params) {
+      if (!rpcs[name]) {
+        return { data: null, error: { message: `unknown rpc ${name}` } };
+      }
+      return { data: rpcs[name](params || {}), error: null };
+    },
+  };
+}
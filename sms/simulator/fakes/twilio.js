@@ -0,0 +1,37 @@
+// sms/simulator/fakes/twilio.js – in-memory stand-in for the twilio package
+//
+// messages.create() lands in `sentMessages` (printed by the simulator after
+// each turn); the TwiML builder only needs to carry the reply text.
+
+export const sentMessages = [];
+
+let nextId = 1;
+
+class MessagingResponse {
+  constructor() {
+    this.messages = [];
+  }
+
+  message(body) {
+    this.messages.push(body);
+  }
+
+  toString() {
+    return this.messages.map((m) => `<Message>${m}</Message>`).join("");
+  }
+}
+
+export default function twilio() {
+  return {
+    messages: {
+      async create({ from, to, body }) {
+        const message = { sid: `SM_sim_${nextId++}`, from, to, body };
+        sentMessages.push(message);
+        return message;
+      },
+    },
+  };
+}
+
+twilio.twiml = { MessagingResponse };
+twilio.validateRequest = () => true;
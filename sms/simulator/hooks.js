@@ -0,0 +1,20 @@
+// sms/simulator/hooks.js – module resolve hook (registered by simulate.js)
+//
+// Swaps the real Supabase / Stripe / Twilio packages for the in-memory
+// fakes, so the app modules run unchanged without touching production.
+
+const fakes = {
+  "@supabase/supabase-js": "./fakes/supabase.js",
+  stripe: "./fakes/stripe.js",
+  twilio: "./fakes/twilio.js",
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (fakes[specifier]) {
+    return {
+      url: new URL(fakes[specifier], import.meta.url).href,
+      shortCircuit: true,
+    };
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,74 @@
+// sms/simulator/seed.js – lots the simulator starts with
+//
+// total_stalls only exists for the fake capacity RPCs (the real ones count
+// stalls in Postgres).
+
+export const seedLots = [
+  {
+    id: "lot-bzn",
+    lot_code: "BZN1",
+    slug: "bozeman-north",
+    name: "Bozeman North Yard",
+    region_label: "Bozeman, MT",
+    address_line1: "1200 N 7th Ave",
+    city: "Bozeman",
+    state: "MT",
+    zip: "59715",
+    latitude: 45.6955,
+    longitude: -111.0429,
+    time_zone: "America/Denver",
+    nightly_rate_cents: 3000,
+    weekly_rate_cents: 17500,
+    monthly_rate_cents: 60000,
+    total_stalls: 3,
+    is_active: true,
+    accepting_bookings: true,
+    check_in_time: "15:00",
+    refund_policy: "unused_nights",
+    parking_instructions: "Enter from the north gate and park along the fence.",
+    review_url: "https://g.page/r/openyard-bzn/review",
+    access_code_mode: "static",
+    access_code: "4321",
+  },
+  {
+    id: "lot-blg",
+    lot_code: "BLG1",
+    slug: "billings-east",
+    name: "Billings East Lot",
+    region_label: "Billings, MT",
+    address_line1: "455 Main St",
+    city: "Billings",
+    state: "MT",
+    zip: "59101",
+    latitude: 45.7833,
+    longitude: -108.5007,
+    time_zone: "America/Denver",
+    nightly_rate_cents: 2500,
+    total_stalls: 1,
+    is_active: true,
+    accepting_bookings: true,
+    ask_stall_number: true,
+    review_url: "https://g.page/r/openyard-blg/review",
+  },
+  {
+    id: "lot-bzn2",
+    lot_code: "BZN2",
+    slug: "bozeman-south",
+    name: "Bozeman South Yard",
+    region_label: "Bozeman, MT",
+    city: "Bozeman",
+    state: "MT",
+    zip: "59718",
+    latitude: 45.6435,
+    longitude: -111.0623,
+    time_zone: "America/Denver",
+    nightly_rate_cents: 2800,
+    total_stalls: 2,
+    is_active: true,
+    accepting_bookings: true,
+  },
+];
+
+export function seedTables() {
+  return { lots: seedLots };
+}
@@ -0,0 +1,344 @@
+// sms/simulator/simulate.js – run the booking bot locally, no Twilio / Stripe / Supabase
+//   npm run simulate                          → interactive (type /help)
+//   npm run simulate -- script.txt            → one driver message per line
+//   npm run simulate -- --replay export.json  → replay sms_messages rows,
+//                                                exit 1 if outbound texts differ
+// Options: --from <address> (default +15555550100; "whatsapp:+1…" or
+// "web:<session>" for the other channels), --now <ISO time> to pin the clock.
+//
+// Everything runs against in-memory fakes (see hooks.js) seeded with the lots
+// in seed.js; nothing leaves this process.
+import { register } from "node:module";
+import { readFileSync, writeFileSync } from "node:fs";
+import readline from "node:readline";
+
+register("./hooks.js", import.meta.url);
+
+// ---------- options ----------
+
+const args = process.argv.slice(2);
+
+function option(name) {
+  const i = args.indexOf(name);
+  if (i === -1) return null;
+  const [, value] = args.splice(i, 2);
+  return value;
+}
+
+const replayFile = option("--replay");
+const nowArg = option("--now");
+const fromArg = option("--from");
+let driver = fromArg || "+15555550100";
+const scriptFile = args[0] || null;
+
+// Pinned clock: shift Date (and so luxon) without freezing it
+if (nowArg) {
+  const RealDate = Date;
+  const offset = RealDate.parse(nowArg) - RealDate.now();
+  if (Number.isNaN(offset)) {
+    console.error(`Invalid --now value: ${nowArg}`);
+    process.exit(1);
+  }
+  globalThis.Date = class SimDate extends RealDate {
+    constructor(...a) {
+      super(...(a.length ? a : [RealDate.now() + offset]));
+    }
+    static now() {
+      return RealDate.now() + offset;
+    }
+  };
+}
+
+const simEnv = {
+  SUPABASE_URL: "http://simulator.local",
+  SUPABASE_SERVICE_ROLE_KEY: "simulator",
+  STRIPE_SECRET_KEY: "sk_test_simulator",
+  TWILIO_ACCOUNT_SID: "ACsimulator",
+  TWILIO_AUTH_TOKEN: "simulator",
+  TWILIO_PHONE_NUMBER: "+15555550000",
+  ALERT_PHONE_E164: "+15555550999",
+};
+for (const [key, value] of Object.entries(simEnv)) {
+  process.env[key] = value;
+}
+
+// App modules load after the hook is registered so they get the fakes
+const { tables, resetTables } = await import("./fakes/supabase.js");
+const { checkoutSessions, completedEvent } = await import("./fakes/stripe.js");
+const { sentMessages } = await import("./fakes/twilio.js");
+const { seedTables } = await import("./seed.js");
+const { handleIncomingSms } = await import("../states/incoming.js");
+const { prepareReply } = await import("../../utils/index.js");
+const { stripeWebhookHandler } = await import("../../payments/index.js");
+const scheduler = await import("../../scheduler/index.js");
+
+resetTables(seedTables());
+
+// ---------- one turn ----------
+
+function printSent(fromIndex) {
+  for (const m of sentMessages.slice(fromIndex)) {
+    console.log(`  ⇢ to ${m.to}:\n${indent(m.body, "    ")}`);
+  }
+}
+
+function indent(text, prefix) {
+  return String(text)
+    .split("\n")
+    .map((line) => prefix + line)
+    .join("\n");
+}
+
+// No rate limiting or catch-all here – scripts type fast and errors should show
+async function sendAsDriver(text) {
+  const sentBefore = sentMessages.length;
+  console.log(`> ${text}`);
+
+  let replies = [];
+  try {
+    const reply = await handleIncomingSms(driver, text, {
+      From: driver,
+      Body: text,
+      MessageSid: `SM_in_${Date.now()}`,
+    });
+    // Shaped + logged the way sms/handler.js answers Twilio
+    replies = await prepareReply(driver, reply);
+  } catch (err) {
+    console.log(indent(err?.stack || String(err), "! "));
+  }
+
+  for (const reply of replies) console.log(indent(reply, "< "));
+  printSent(sentBefore);
+  return replies;
+}
+
+// Pay the driver's newest open checkout through the real webhook handler
+async function payLatestCheckout() {
+  const bookingIds = new Set(
+    (tables.bookings || [])
+      .filter((b) => b.driver_phone_e164 === driver)
+      .map((b) => b.id)
+  );
+  const session = [...checkoutSessions]
+    .reverse()
+    .find((s) => s.status === "open" && bookingIds.has(s.metadata.booking_id));
+
+  if (!session) {
+    console.log("(no open checkout for this driver)");
+    return false;
+  }
+
+  const sentBefore = sentMessages.length;
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    send() {
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+
+  await stripeWebhookHandler(
+    {
+      headers: { "stripe-signature": "simulator" },
+      body: Buffer.from(JSON.stringify(completedEvent(session))),
+    },
+    res
+  );
+  console.log(`(paid ${session.id} – webhook ${res.statusCode})`);
+  printSent(sentBefore);
+  return true;
+}
+
+async function runScheduler() {
+  const sentBefore = sentMessages.length;
+  await scheduler.expireBookingHolds();
+  await scheduler.expireIdleConversations(30);
+  await scheduler.runDueReviewMessages();
+  await scheduler.runWaitlistOffers();
+  await scheduler.runNoShowAlerts();
+  await scheduler.pruneRateLimits();
+  console.log("(scheduler ran)");
+  printSent(sentBefore);
+}
+
+const commands = {
+  "/help": {
+    usage: "/help",
+    about: "this list",
+    run: () =>
+      Object.values(commands).forEach((c) =>
+        console.log(`  ${c.usage.padEnd(16)} ${c.about}`)
+      ),
+  },
+  "/pay": {
+    usage: "/pay",
+    about: "complete the newest open Stripe checkout",
+    run: payLatestCheckout,
+  },
+  "/tick": {
+    usage: "/tick",
+    about: "run the scheduler jobs /healthz runs",
+    run: runScheduler,
+  },
+  "/as": {
+    usage: "/as <address>",
+    about: "text as another phone / whatsapp: / web: address",
+    run: (value) => {
+      if (value) driver = value;
+      console.log(`(texting as ${driver})`);
+    },
+  },
+  "/export": {
+    usage: "/export <file>",
+    about: "write this driver's sms_messages as a --replay fixture",
+    run: (file) => {
+      if (!file) return console.log("(usage: /export <file>)");
+      const rows = (tables.sms_messages || [])
+        .filter((m) => m.driver_phone_e164 === driver)
+        .map(({ direction, message_body, driver_phone_e164, created_at }) =>
+          JSON.stringify({ direction, message_body, driver_phone_e164, created_at })
+        );
+      writeFileSync(file, rows.join("\n") + "\n");
+      console.log(`(wrote ${rows.length} messages to ${file})`);
+    },
+  },
+  "/db": {
+    usage: "/db <table>",
+    about: "print a table (no name → row counts)",
+    run: (name) => {
+      if (!name) {
+        for (const [t, rows] of Object.entries(tables)) {
+          console.log(`  ${t}: ${rows.length}`);
+        }
+        return;
+      }
+      console.table(tables[name] || []);
+    },
+  },
+};
+
+async function runLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith("#")) return;
+
+  if (trimmed.startsWith("/")) {
+    const [name, ...rest] = trimmed.split(/\s+/);
+    const command = commands[name];
+    if (!command) {
+      console.log(`(unknown command ${name} – try /help)`);
+      return;
+    }
+    await command.run(rest.join(" "));
+    return;
+  }
+
+  await sendAsDriver(trimmed);
+  console.log("");
+}
+
+// ---------- replay ----------
+
+function readTranscript(file) {
+  const raw = readFileSync(file, "utf8").trim();
+  const rows = raw.startsWith("[")
+    ? JSON.parse(raw)
+    : raw.split("\n").filter(Boolean).map((line) => JSON.parse(line));
+
+  return rows
+    .filter((r) => r.direction === "inbound" || r.direction === "outbound")
+    .sort((a, b) => String(a.created_at || "").localeCompare(b.created_at || ""));
+}
+
+// Session URLs and ids differ on every run
+function normalizeBody(body) {
+  return String(body || "")
+    .replace(/https?:\/\/\S+/g, "<url>")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function loggedOutbound(fromIndex) {
+  return (tables.sms_messages || [])
+    .slice(fromIndex)
+    .filter((m) => m.direction === "outbound" && m.driver_phone_e164 === driver)
+    .map((m) => m.message_body);
+}
+
+async function replay(file) {
+  const rows = readTranscript(file);
+  const recordedPhone = rows.find((r) => r.driver_phone_e164)?.driver_phone_e164;
+  if (recordedPhone && !fromArg) driver = recordedPhone;
+
+  let failures = 0;
+  let turn = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    if (rows[i].direction !== "inbound") continue;
+    turn += 1;
+
+    const expected = [];
+    for (let j = i + 1; j < rows.length && rows[j].direction === "outbound"; j++) {
+      expected.push(rows[j].message_body);
+    }
+
+    const logBefore = (tables.sms_messages || []).length;
+    await sendAsDriver(rows[i].message_body);
+    let actual = loggedOutbound(logBefore);
+
+    // The recording paid between texts (webhook confirmation) – do the same
+    if (expected.length > actual.length && (await payLatestCheckout())) {
+      actual = loggedOutbound(logBefore);
+    }
+
+    const want = expected.map(normalizeBody);
+    const got = actual.map(normalizeBody);
+    if (JSON.stringify(want) !== JSON.stringify(got)) {
+      failures += 1;
+      console.log(`✗ turn ${turn}: logged outbound texts differ`);
+      console.log(indent(want.join("\n---\n") || "(none)", "  expected: "));
+      console.log(indent(got.join("\n---\n") || "(none)", "  actual:   "));
+    }
+    console.log("");
+  }
+
+  console.log(
+    failures
+      ? `${failures} of ${turn} turns differ`
+      : `all ${turn} turns match`
+  );
+  return failures;
+}
+
+// ---------- main ----------
+
+if (replayFile) {
+  const failures = await replay(replayFile);
+  process.exit(failures ? 1 : 0);
+}
+
+if (scriptFile) {
+  for (const line of readFileSync(scriptFile, "utf8").split("\n")) {
+    await runLine(line);
+  }
+  process.exit(0);
+}
+
+console.log(
+  `OpenYard simulator – texting as ${driver}. /help for commands, Ctrl-D to quit.`
+);
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+  prompt: "driver> ",
+});
+rl.prompt();
+for await (const line of rl) {
+  await runLine(line);
+  rl.prompt();
+}
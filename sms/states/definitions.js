@@ -0,0 +1,305 @@
+// sms/states/definitions.js – the conversation flow's shape, without behavior
+//
+// Keyword and state definitions plus the review output built from them
+// (npm run states). Nothing here touches Supabase or Stripe, so the diagram
+// prints without credentials; machine.js attaches the handlers by name.
+import { t } from "../../utils/messages.js";
+
+// Transition target meaning "goToNextStep decides": it can land on any
+// question that hasn't been answered yet
+export const NEXT_STEP = "goToNextStep";
+export const NEXT_STEP_STATES = [
+  "awaiting_arrival_date",
+  "awaiting_location_or_lot_code",
+  "awaiting_lot_choice",
+  "awaiting_profile_confirmation",
+  "awaiting_name",
+  "awaiting_truck_type",
+  "awaiting_make_model",
+  "awaiting_plate",
+  "awaiting_stay_option",
+  "awaiting_summary_confirmation",
+];
+
+/**
+ * Global keywords, checked in this order on every message. `starts` is the
+ * state the keyword opens (for the diagram); a state can list a keyword in
+ * its `overrides` to handle that word itself.
+ */
+export const keywordDefinitions = [
+  {
+    name: "LANGUAGE",
+    commands: ["ESPANOL", "ENGLISH"],
+    description: "save the driver's language (profile + active conversation)",
+  },
+  {
+    name: "DEMO",
+    commands: ["DEMO"],
+    description: "walk-through of the booking flow",
+  },
+  {
+    name: "MENU",
+    commands: ["MENU"],
+    description: "list of commands",
+  },
+  {
+    name: "HELP",
+    commands: ["HELP"],
+    description: "short help text",
+  },
+  {
+    name: "STOP",
+    commands: ["STOP", "STOPALL", "UNSUBSCRIBE"],
+    description:
+      "opt out of all texts, end any booking flow and leave waitlists; a paid booking is only cancelled via CANCEL",
+  },
+  {
+    name: "START",
+    commands: ["START", "UNSTOP"],
+    description: "opt back in to texts after STOP",
+  },
+  {
+    name: "RESET",
+    commands: ["RESET"],
+    description: "drop the active conversation",
+  },
+  {
+    name: "SUPPORT",
+    commands: ["SUPPORT"],
+    description:
+      "open a support thread with the operator; the bot is paused until they CLOSE it",
+  },
+  {
+    name: "BOOK",
+    commands: ["BOOK"],
+    starts: "awaiting_arrival_date",
+    description: "start a new reservation",
+  },
+  {
+    name: "CANCEL",
+    commands: ["CANCEL"],
+    starts: "awaiting_cancel_confirmation",
+    description:
+      "paid booking → refund quote + confirmation; otherwise end the flow",
+  },
+  {
+    name: "EXTEND",
+    commands: ["EXTEND"],
+    starts: "awaiting_extend_nights",
+    description: "add nights to a paid booking",
+  },
+  {
+    name: "STATUS",
+    commands: ["STATUS"],
+    starts: "awaiting_status_choice",
+    description: "list current + upcoming bookings; a number re-sends one",
+  },
+  {
+    name: "ARRIVED",
+    commands: ["ARRIVED"],
+    starts: "awaiting_stall_number",
+    description: "check in to today's booking (asks for the stall if the lot wants it)",
+  },
+  {
+    name: "LEAVING",
+    commands: ["LEAVING"],
+    description: "check out; the review nudge is re-timed from now",
+  },
+  {
+    name: "WAITLIST",
+    commands: ["WAITLIST"],
+    description:
+      "queue for the sold-out lot + arrival date just shown (scheduler offers freed stalls)",
+  },
+];
+
+/**
+ * Conversation states. `prompt` is the message key the driver is answering,
+ * `handler` parses/validates the reply (null = run `action`), `transitions`
+ * are the states the handler, action or a webhook may move to, and
+ * `overrides` are global keywords this state treats as ordinary replies.
+ *
+ * Not listed per state: any active conversation ends as "cancelled" when a
+ * keyword starts another flow (or STOP / RESET), and as "expired" when it
+ * goes idle.
+ */
+export const stateDefinitions = {
+  awaiting_arrival_date: {
+    prompt: "arrivalQuestion",
+    handler: "handleArrivalDateState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_location_or_lot_code: {
+    prompt: "wherePrompt",
+    handler: "handleLocationState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_lot_choice: {
+    prompt: "lotListFooter",
+    handler: "handleLotChoiceState",
+    // expired list → search again
+    transitions: ["awaiting_location_or_lot_code", NEXT_STEP],
+  },
+  awaiting_profile_confirmation: {
+    prompt: "profileConfirmPrompt",
+    handler: "handleProfileConfirmState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_name: {
+    prompt: "namePrompt",
+    handler: "handleNameState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_truck_type: {
+    prompt: "truckTypePrompt",
+    handler: "handleTruckTypeState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_make_model: {
+    prompt: "makeModelPrompt",
+    handler: "handleMakeModelState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_plate: {
+    prompt: "platePrompt",
+    handler: "handlePlateState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_stay_option: {
+    prompt: "stayOptionPrompt",
+    handler: "handleStayOptionState",
+    transitions: ["awaiting_custom_nights", NEXT_STEP],
+  },
+  awaiting_custom_nights: {
+    prompt: "customNightsPrompt",
+    handler: "handleCustomNightsState",
+    transitions: [NEXT_STEP],
+  },
+  awaiting_summary_confirmation: {
+    prompt: "summaryConfirm",
+    handler: "handleSummaryConfirmState",
+    action: "createBooking",
+    // YES → payment link, NO → cancelled, ADD / EDIT <field> → back to a question
+    transitions: ["awaiting_payment", "cancelled", NEXT_STEP],
+  },
+  awaiting_extend_nights: {
+    prompt: "extendPrompt",
+    handler: "handleExtendNightsState",
+    action: "createExtensionCheckout",
+    // sold out for the extra nights → cancelled
+    transitions: ["awaiting_payment", "cancelled"],
+    overrides: ["EXTEND"],
+  },
+  awaiting_cancel_confirmation: {
+    prompt: "cancelQuote",
+    handler: "handleCancelConfirmState",
+    action: "cancelBookingWithRefund",
+    transitions: ["completed", "cancelled"],
+    overrides: ["CANCEL"],
+  },
+  awaiting_status_choice: {
+    prompt: "statusFooter",
+    handler: "handleStatusChoiceState",
+    action: "resendBookingConfirmation",
+    transitions: ["completed"],
+  },
+  awaiting_stall_number: {
+    prompt: "stallPrompt",
+    handler: "handleStallNumberState",
+    transitions: ["completed"],
+  },
+  awaiting_payment: {
+    prompt: "paymentAlreadySent",
+    handler: "handleAwaitingPaymentReply",
+    // Stripe webhook: paid → completed; checkout expired / payment failed or
+    // hold released → expired
+    transitions: ["completed", "expired"],
+  },
+  completed: { terminal: true },
+  cancelled: { terminal: true },
+  expired: { terminal: true },
+  waitlisted: { terminal: true },
+};
+
+// Catch typos in transition lists at load rather than in a diagram review
+for (const [name, def] of Object.entries(stateDefinitions)) {
+  for (const next of def.transitions || []) {
+    if (next !== NEXT_STEP && !stateDefinitions[next]) {
+      throw new Error(`State machine: ${name} → unknown state "${next}"`);
+    }
+  }
+}
+for (const k of keywordDefinitions) {
+  if (k.starts && !stateDefinitions[k.starts]) {
+    throw new Error(`State machine: ${k.name} starts unknown "${k.starts}"`);
+  }
+}
+
+// ---------- review output ----------
+
+// English prompt with its {placeholders} left in, on one line
+function promptPreview(key) {
+  const keepPlaceholders = new Proxy({}, { get: (_, name) => `{${name}}` });
+  return t(null, key, keepPlaceholders).replace(/\n+/g, " / ");
+}
+
+// Plain-text list of keywords and states
+export function describeStates() {
+  const lines = ["Keywords (checked in order):"];
+
+  for (const k of keywordDefinitions) {
+    const starts = k.starts ? ` → ${k.starts}` : "";
+    lines.push(`  ${k.commands.join(" / ")}${starts} – ${k.description}`);
+  }
+
+  lines.push("", "States:");
+  lines.push(
+    `  (${NEXT_STEP} → first unanswered of: ${NEXT_STEP_STATES.join(", ")})`
+  );
+
+  for (const [name, def] of Object.entries(stateDefinitions)) {
+    if (def.terminal) {
+      lines.push(`  ${name} (terminal)`);
+      continue;
+    }
+
+    lines.push(`  ${name}`);
+    lines.push(`    prompt: ${def.prompt} – "${promptPreview(def.prompt)}"`);
+    lines.push(`    handler: ${def.handler}`);
+    if (def.action) lines.push(`    action: ${def.action}`);
+    lines.push(`    → ${def.transitions.join(", ")}`);
+    if (def.overrides) {
+      lines.push(`    overrides: ${def.overrides.join(", ")}`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// Mermaid stateDiagram-v2 source (paste into a PR or mermaid.live)
+export function statesToMermaid() {
+  const lines = ["stateDiagram-v2"];
+
+  for (const k of keywordDefinitions) {
+    if (k.starts) lines.push(`  [*] --> ${k.starts}: ${k.name}`);
+  }
+  lines.push(`  [*] --> ${NEXT_STEP}: free-form request`);
+  lines.push(`  [*] --> ${NEXT_STEP}: waitlist offer (scheduler)`);
+
+  lines.push(`  state ${NEXT_STEP} <<choice>>`);
+  for (const next of NEXT_STEP_STATES) {
+    lines.push(`  ${NEXT_STEP} --> ${next}`);
+  }
+
+  for (const [name, def] of Object.entries(stateDefinitions)) {
+    if (def.terminal) {
+      lines.push(`  ${name} --> [*]`);
+      continue;
+    }
+    for (const next of def.transitions) {
+      if (next !== name) lines.push(`  ${name} --> ${next}`);
+    }
+  }
+
+  return lines.join("\n");
+}
@@ -1,15 +1,37 @@
 // sms/states/index.js
 import "dotenv/config";
-import { supabase, updateConversation, logSms } from "../../db/db.js";
-import { notifyOwnerAlert } from "../../utils/index.js";
-import { formatDateRange } from "../../utils/lotLinks.js";
+import {
+  supabase,
+  updateConversation,
+  getDriverProfile,
+} from "../../db/db.js";
+import {
+  notifyOwnerAlert,
+  parseArrivalDate,
+  formatArrivalDate,
+  arrivalNightLabel,
+  todayIsoInZone,
+  MAX_ADVANCE_DAYS,
+  MAX_FLEET_TRUCKS,
+  conversationVehicles,
+  normalizePlate,
+} from "../../utils/index.js";
+import { formatDateRange, buildNavigateLink } from "../../utils/lotLinks.js";
+import {
+  distanceMiles,
+  formatMiles,
+  parseLocationPoint,
+  parseSharedLocation,
+  NEARBY_MAX_MILES,
+} from "../../utils/geo.js";
+import { t, normalizeCommand } from "../../utils/messages.js";
+
+// How long a numbered lot list stays valid before the driver must search again
+const LOT_CHOICE_TTL_MINUTES = Number(process.env.LOT_CHOICE_TTL_MINUTES || 30);
 
 // Commands footer – used only on first prompt and summary
-export function withCommandsFooter(mainText) {
-  const commandsBlock =
-    "\n\nCommands:\n" + "BOOK = new booking\n" + "SUPPORT = help";
-
-  return mainText + commandsBlock;
+export function withCommandsFooter(mainText, locale) {
+  return mainText + t(locale, "commandsFooter");
 }
 
 /**
@@ -61,6 +83,63 @@ async function findLotsByCityState(city, state) {
   return data || [];
 }
 
+/**
+ * True when free text names a place we know: a ZIP / "lat,lng", a lot code
+ * or slug, or exactly the city of an active lot. Used before treating a
+ * message without parking words as a booking request.
+ */
+export async function isKnownLocation(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return false;
+  if (parseLocationPoint(text)) return true;
+  if ((await findLotsByCodeOrSlug(text)).length > 0) return true;
+
+  // City prefix matching is fine for the location question, not for guessing
+  const { city, state } = parseCityState(text);
+  if (!city) return false;
+  const lots = await findLotsByCityState(city, state);
+  return lots.some(
+    (lot) => String(lot.city || "").toLowerCase() === city.toLowerCase()
+  );
+}
+
+// Active lots ranked by straight-line distance from the driver's point
+async function findLotsNear(point) {
+  const { data, error } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("is_active", true)
+    .eq("accepting_bookings", true) // ✅ respect global pause toggle
+    .not("latitude", "is", null)
+    .not("longitude", "is", null);
+
+  if (error) console.error("Error fetching lots (nearby):", error);
+
+  return (data || [])
+    .map((lot) => ({
+      ...lot,
+      distance_miles: distanceMiles(point, {
+        latitude: Number(lot.latitude),
+        longitude: Number(lot.longitude),
+      }),
+    }))
+    .filter((lot) => lot.distance_miles <= NEARBY_MAX_MILES)
+    .sort((a, b) => a.distance_miles - b.distance_miles);
+}
+
+function savedLocationPoint(conversation) {
+  if (
+    conversation.location_latitude == null ||
+    conversation.location_longitude == null
+  ) {
+    return null;
+  }
+  return {
+    latitude: Number(conversation.location_latitude),
+    longitude: Number(conversation.location_longitude),
+  };
+}
+
 // ---------- stalls-left helpers ----------
 
 async function getStallsLeftTonight(lotId) {
@@ -101,56 +180,200 @@ function addDaysIso(startIso, days) {
   return isoDate(dt);
 }
 
+// Stalls left for the driver's arrival night (tonight unless they picked a later date)
+async function getStallsLeftOnArrival(lotId, arrivalDate, tz) {
+  if (!arrivalDate || arrivalDate === todayIsoInZone(tz)) {
+    return getStallsLeftTonight(lotId);
+  }
+  return getMinStallsLeftForStay(lotId, arrivalDate, addDaysIso(arrivalDate, 1));
+}
+
+function lotLabel(lot) {
+  return `${lot.name}${lot.region_label ? " – " + lot.region_label : ""}`;
+}
+
+// " (12 mi away)" when the lot came from a nearby search
+function milesAwayText(lot, locale) {
+  if (typeof lot.distance_miles !== "number") return "";
+  return t(locale, "milesAway", { miles: formatMiles(lot.distance_miles) });
+}
+
+function hasCompleteProfile(profile) {
+  return Boolean(
+    profile &&
+      profile.driver_full_name &&
+      profile.truck_make_model &&
+      profile.license_plate_raw
+  );
+}
+
+/**
+ * Move the conversation to the next question it doesn't have an answer for
+ * and return that prompt. Answers can arrive out of order (free-form first
+ * message, saved driver profile), so every state hands off through here
+ * instead of hardcoding its successor.
+ */
+export async function goToNextStep(conversationId) {
+  const { data: conv, error } = await supabase
+    .from("conversations")
+    .select("*")
+    .eq("id", conversationId)
+    .single();
+
+  if (error || !conv) {
+    console.error("Error loading conversation for next step:", error);
+    return t(null, "genericError");
+  }
+
+  const locale = conv.locale;
+  const moveTo = (state) =>
+    updateConversation(conv.id, { current_state: state });
+
+  if (!conv.arrival_date) {
+    await moveTo("awaiting_arrival_date");
+    return t(locale, "arrivalQuestion");
+  }
+
+  if (!conv.lot_id) {
+    await moveTo("awaiting_location_or_lot_code");
+    // Location given up front – run the lookup as if they had just sent it
+    if (conv.location_raw_input) {
+      return handleLocationState(conv, conv.location_raw_input);
+    }
+    return t(locale, "wherePrompt");
+  }
+
+  if (!conv.driver_full_name) {
+    // Returning drivers confirm their saved truck instead of re-entering it
+    const profile = await getDriverProfile(conv.driver_phone_e164);
+    if (hasCompleteProfile(profile)) {
+      await moveTo("awaiting_profile_confirmation");
+      return t(locale, "profileConfirmPrompt", {
+        makeModel: profile.truck_make_model,
+        plate: profile.license_plate_raw,
+      });
+    }
+
+    await moveTo("awaiting_name");
+    return t(locale, "namePrompt");
+  }
+
+  if (!conv.truck_type) {
+    await moveTo("awaiting_truck_type");
+    return t(locale, "truckTypePrompt");
+  }
+
+  if (!conv.truck_make_model) {
+    await moveTo("awaiting_make_model");
+    return t(locale, "makeModelPrompt");
+  }
+
+  if (!conv.license_plate_raw) {
+    await moveTo("awaiting_plate");
+    return t(locale, "platePrompt");
+  }
+
+  if (!conv.nights) {
+    await moveTo("awaiting_stay_option");
+    return t(locale, "stayOptionPrompt");
+  }
+
+  await moveTo("awaiting_summary_confirmation");
+  return buildSummaryPrompt(conv.id, conv.stay_type, conv.nights);
+}
+
 // ----------------------------------------
 
-export async function handleLocationState(conversation, text) {
+export async function handleArrivalDateState(conversation, text) {
+  const locale = conversation.locale;
+  const parsed = parseArrivalDate(text);
+
+  if (parsed.error === "past") return t(locale, "arrivalPast");
+
+  if (parsed.error === "too_far") {
+    return t(locale, "arrivalTooFar", { maxDays: MAX_ADVANCE_DAYS });
+  }
+
+  if (parsed.error) return t(locale, "arrivalInvalid");
+
+  await updateConversation(conversation.id, { arrival_date: parsed.date });
+
+  return (
+    t(locale, "arrivalConfirmed", {
+      date: formatArrivalDate(parsed.date, locale),
+    }) +
+    "\n\n" +
+    (await goToNextStep(conversation.id))
+  );
+}
+
+export async function handleLocationState(conversation, text, rawPayload) {
+  const locale = conversation.locale;
   const raw = String(text || "").trim();
 
-  await updateConversation(conversation.id, { location_raw_input: raw });
+  // 1) ZIP, "lat,lng" or a shared pin → rank lots by distance
+  const located =
+    (await parseSharedLocation(rawPayload)) || parseLocationPoint(raw);
 
-  // 1) Try code/slug match first
-  let lots = await findLotsByCodeOrSlug(raw);
+  await updateConversation(conversation.id, {
+    location_raw_input: raw,
+    location_latitude: located ? located.point.latitude : null,
+    location_longitude: located ? located.point.longitude : null,
+  });
 
-  // 2) If none, try city/state
-  if (!lots || lots.length === 0) {
-    const { city, state } = parseCityState(raw);
-    if (city) lots = await findLotsByCityState(city, state);
+  let lots = [];
+  if (located) {
+    lots = await findLotsNear(located.point);
+  } else if (raw) {
+    // 2) Try code/slug match
+    lots = await findLotsByCodeOrSlug(raw);
+
+    // 3) If none, try city/state
+    if (!lots || lots.length === 0) {
+      const { city, state } = parseCityState(raw);
+      if (city) lots = await findLotsByCityState(city, state);
+    }
   }
 
-  if (!lots || lots.length === 0) {
-    return (
-      "I couldn't find any available lots near that.\n" +
-      'Try a city and state (e.g. "Bozeman MT" or "Kansas City MO").'
-    );
-  }
+  if (!lots || lots.length === 0) return t(locale, "noLotsFound");
 
   // SINGLE LOT
   if (lots.length === 1) {
     const lot = lots[0];
+    // "tonight" is the lot's tonight, like createBooking's today
+    const nightLabel = arrivalNightLabel(
+      conversation.arrival_date,
+      lot.time_zone,
+      locale
+    );
 
-    const stallsLeft = await getStallsLeftTonight(lot.id);
+    const stallsLeft = await getStallsLeftOnArrival(
+      lot.id,
+      conversation.arrival_date
+    );
 
     // If we KNOW it's sold out, block early (prevents wasting steps)
     if (typeof stallsLeft === "number" && stallsLeft <= 0) {
+      await updateConversation(conversation.id, { waitlist_lot_id: lot.id });
       return (
-        `Sorry — ${lot.name}${
-          lot.region_label ? " – " + lot.region_label : ""
-        } is sold out tonight.\n\n` + 'Try another city/state, or text SUPPORT.'
+        t(locale, "lotSoldOut", { lotLabel: lotLabel(lot), nightLabel }) +
+        "\n" +
+        t(locale, "waitlistHint")
       );
     }
 
-    await updateConversation(conversation.id, {
-      lot_id: lot.id,
-      current_state: "awaiting_name",
-    });
+    await updateConversation(conversation.id, { lot_id: lot.id });
 
     const stallsLine =
-      typeof stallsLeft === "number" ? `\nSpots left tonight: ${stallsLeft}` : "";
+      typeof stallsLeft === "number"
+        ? "\n" + t(locale, "spotsLeft", { nightLabel, count: stallsLeft })
+        : "";
 
     return (
-      `You’re booking: ${lot.name}${
-        lot.region_label ? " – " + lot.region_label : ""
-      }.${stallsLine}\n\n` + "What’s your first and last name?"
+      t(locale, "lotIntro", { lotLabel: lotLabel(lot) }) +
+      milesAwayText(lot, locale) +
+      `${stallsLine}\n\n` +
+      (await goToNextStep(conversation.id))
     );
   }
 
@@ -160,7 +383,7 @@ export async function handleLocationState(conversation, text) {
   const stalls = await Promise.all(
     limited.map(async (lot) => ({
       lotId: lot.id,
-      stallsLeft: await getStallsLeftTonight(lot.id),
+      stallsLeft: await getStallsLeftOnArrival(lot.id, conversation.arrival_date),
     }))
   );
 
@@ -168,133 +391,207 @@ export async function handleLocationState(conversation, text) {
 
   const lines = limited.map((lot, i) => {
     const left = stallsById.get(lot.id);
-    const leftTxt = typeof left === "number" ? ` • ${left} left` : "";
-    return `${i + 1}) ${lot.name}${
-      lot.region_label ? " – " + lot.region_label : ""
-    }${leftTxt}`;
+    const leftTxt =
+      typeof left === "number" ? t(locale, "lotListLeft", { count: left }) : "";
+    const milesTxt =
+      typeof lot.distance_miles === "number"
+        ? t(locale, "lotListMiles", { miles: formatMiles(lot.distance_miles) })
+        : "";
+    return `${i + 1}) ${lotLabel(lot)}${leftTxt}${milesTxt}`;
   });
 
+  // Snapshot exactly what was shown – the reply number resolves against this
   await updateConversation(conversation.id, {
     current_state: "awaiting_lot_choice",
+    lot_choice_ids: limited.map((lot) => lot.id),
+    lot_choice_expires_at: new Date(
+      Date.now() + LOT_CHOICE_TTL_MINUTES * 60 * 1000
+    ).toISOString(),
   });
 
-  return "I found these lots:\n" + lines.join("\n") + "\n\nReply with a number.";
+  return (
+    t(locale, "lotListHeader") +
+    "\n" +
+    lines.join("\n") +
+    "\n\n" +
+    t(locale, "lotListFooter")
+  );
 }
 
 export async function handleLotChoiceState(conversation, text) {
+  const locale = conversation.locale;
   const n = parseInt(String(text || "").trim(), 10);
-  if (Number.isNaN(n) || n < 1) {
-    return "Reply with a valid number from the list.";
+  if (Number.isNaN(n) || n < 1) return t(locale, "lotChoiceInvalid");
+
+  const ids = conversation.lot_choice_ids || [];
+  const expiresAt = conversation.lot_choice_expires_at
+    ? new Date(conversation.lot_choice_expires_at).getTime()
+    : 0;
+
+  // Old (or missing) list – availability may have changed, search again
+  if (ids.length === 0 || expiresAt < Date.now()) {
+    await updateConversation(conversation.id, {
+      current_state: "awaiting_location_or_lot_code",
+      lot_choice_ids: null,
+      lot_choice_expires_at: null,
+    });
+    return t(locale, "lotChoiceExpired") + "\n\n" + t(locale, "wherePrompt");
   }
 
-  const input = conversation.location_raw_input || "";
-  const { city, state } = parseCityState(input);
+  if (n > ids.length) return t(locale, "lotChoiceOutOfRange");
 
-  let lots = [];
-  if (city) lots = await findLotsByCityState(city, state);
-  if (!lots || lots.length === 0) lots = await findLotsByCodeOrSlug(input);
+  const { data: chosen, error: lotErr } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("id", ids[n - 1])
+    .single();
+
+  if (lotErr) console.error("Error loading chosen lot:", lotErr);
+
+  // Paused or deactivated since the list was sent
+  if (!chosen || !chosen.is_active || !chosen.accepting_bookings) {
+    return t(locale, "lotChoiceUnavailable");
+  }
 
-  const limited = (lots || []).slice(0, 5);
-  if (n > limited.length) return "Please choose a valid number.";
+  const point = savedLocationPoint(conversation);
+  if (point && chosen.latitude != null && chosen.longitude != null) {
+    chosen.distance_miles = distanceMiles(point, {
+      latitude: Number(chosen.latitude),
+      longitude: Number(chosen.longitude),
+    });
+  }
 
-  const chosen = limited[n - 1];
+  const nightLabel = arrivalNightLabel(
+    conversation.arrival_date,
+    chosen.time_zone,
+    locale
+  );
 
-  const stallsLeft = await getStallsLeftTonight(chosen.id);
+  const stallsLeft = await getStallsLeftOnArrival(
+    chosen.id,
+    conversation.arrival_date
+  );
 
   // If we KNOW it's sold out, block early and keep them in lot-choice state
   if (typeof stallsLeft === "number" && stallsLeft <= 0) {
     await updateConversation(conversation.id, {
       current_state: "awaiting_lot_choice",
+      waitlist_lot_id: chosen.id,
     });
 
     return (
-      `That lot is sold out tonight.\n` +
-      `Reply with a different number from the list, or text SUPPORT.`
+      t(locale, "lotChoiceSoldOut", { nightLabel }) +
+      "\n" +
+      t(locale, "waitlistHint")
     );
   }
 
   await updateConversation(conversation.id, {
     lot_id: chosen.id,
-    current_state: "awaiting_name",
+    lot_choice_ids: null,
+    lot_choice_expires_at: null,
   });
 
   const stallsLine =
-    typeof stallsLeft === "number" ? `\nSpots left tonight: ${stallsLeft}` : "";
+    typeof stallsLeft === "number"
+      ? "\n" + t(locale, "spotsLeft", { nightLabel, count: stallsLeft })
+      : "";
 
   return (
-    `You’re booking: ${chosen.name}${
-      chosen.region_label ? " – " + chosen.region_label : ""
-    }.${stallsLine}\n\n` + "What’s your first and last name?"
+    t(locale, "lotIntro", { lotLabel: lotLabel(chosen) }) +
+    milesAwayText(chosen, locale) +
+    `${stallsLine}\n\n` +
+    (await goToNextStep(conversation.id))
   );
 }
 
-export async function handleNameState(conversation, text) {
-  const full = String(text || "").trim();
-  if (!full || full.length < 2) return "Please send your full name.";
+export async function handleProfileConfirmState(conversation, text) {
+  const locale = conversation.locale;
+  const command = normalizeCommand(text);
 
+  if (command === "EDIT" || command === "NO" || command === "N") {
+    await updateConversation(conversation.id, {
+      current_state: "awaiting_name",
+    });
+    return t(locale, "namePrompt");
+  }
+
+  if (!(command === "YES" || command === "Y")) {
+    return t(locale, "profileConfirmRetry");
+  }
+
+  const profile = await getDriverProfile(conversation.driver_phone_e164);
+  if (!profile) {
+    await updateConversation(conversation.id, {
+      current_state: "awaiting_name",
+    });
+    return t(locale, "profileLoadFailed");
+  }
+
+  // Anything the driver already told us this time wins over the saved profile
   await updateConversation(conversation.id, {
-    driver_full_name: full,
-    current_state: "awaiting_truck_type",
+    driver_full_name: profile.driver_full_name,
+    truck_type: conversation.truck_type || profile.truck_type,
+    truck_make_model: conversation.truck_make_model || profile.truck_make_model,
+    license_plate_raw:
+      conversation.license_plate_raw || profile.license_plate_raw,
   });
 
-  return (
-    "What are you parking?\n" +
-    "1 = Semi\n" +
-    "2 = Bobtail\n" +
-    "3 = Hotshot\n" +
-    "4 = Other\n" +
-    "Reply with a number."
-  );
+  return goToNextStep(conversation.id);
+}
+
+export async function handleNameState(conversation, text) {
+  const locale = conversation.locale;
+  const full = String(text || "").trim();
+  if (!full || full.length < 2) return t(locale, "nameInvalid");
+
+  await updateConversation(conversation.id, { driver_full_name: full });
+
+  return goToNextStep(conversation.id);
 }
 
 export async function handleTruckTypeState(conversation, text) {
+  const locale = conversation.locale;
   const n = parseInt(String(text || "").trim(), 10);
   const types = { 1: "semi", 2: "bobtail", 3: "hotshot", 4: "other" };
   const truckType = types[n];
-  if (!truckType) return "Reply 1, 2, 3, or 4.";
+  if (!truckType) return t(locale, "truckTypeInvalid");
 
-  await updateConversation(conversation.id, {
-    truck_type: truckType,
-    current_state: "awaiting_make_model",
-  });
+  await updateConversation(conversation.id, { truck_type: truckType });
 
-  return 'Truck make & model? (e.g. "Freightliner Cascadia")';
+  return goToNextStep(conversation.id);
 }
 
 export async function handleMakeModelState(conversation, text) {
+  const locale = conversation.locale;
   const v = String(text || "").trim();
-  if (!v || v.length < 2) return "Please send truck make & model.";
+  if (!v || v.length < 2) return t(locale, "makeModelInvalid");
 
-  await updateConversation(conversation.id, {
-    truck_make_model: v,
-    current_state: "awaiting_plate",
-  });
+  await updateConversation(conversation.id, { truck_make_model: v });
 
-  return 'Plate (state + number)? (e.g. "MT 7-XYZ456")';
+  return goToNextStep(conversation.id);
 }
 
 export async function handlePlateState(conversation, text) {
+  const locale = conversation.locale;
   const v = String(text || "").trim();
-  if (!v || v.length < 2) return "Please send a valid license plate.";
+  if (!v || v.length < 2) return t(locale, "plateInvalid");
 
-  await updateConversation(conversation.id, {
-    license_plate_raw: v,
-    current_state: "awaiting_stay_option",
-  });
-
-  return (
-    "How long are you staying?\n" +
-    "1 = 1 night\n" +
-    "2 = 7 nights\n" +
-    "3 = 30 nights\n" +
-    "4 = Other\n" +
-    "Reply with a number."
+  // Fleet bookings: each truck needs its own plate
+  const taken = (conversation.fleet_vehicles || []).map((veh) =>
+    normalizePlate(veh.license_plate_raw)
   );
+  if (taken.includes(normalizePlate(v))) return t(locale, "plateDuplicate");
+
+  await updateConversation(conversation.id, { license_plate_raw: v });
+
+  return goToNextStep(conversation.id);
 }
 
 export async function handleStayOptionState(conversation, text) {
+  const locale = conversation.locale;
   const n = parseInt(String(text || "").trim(), 10);
-  if (![1, 2, 3, 4].includes(n)) return "Reply 1–4.";
+  if (![1, 2, 3, 4].includes(n)) return t(locale, "stayOptionInvalid");
 
   let stayType;
   let nights;
@@ -312,29 +609,23 @@ export async function handleStayOptionState(conversation, text) {
     await updateConversation(conversation.id, {
       current_state: "awaiting_custom_nights",
     });
-    return "How many nights?";
+    return t(locale, "customNightsPrompt");
   }
 
-  await updateConversation(conversation.id, {
-    stay_type: stayType,
-    nights,
-    current_state: "awaiting_summary_confirmation",
-  });
+  await updateConversation(conversation.id, { stay_type: stayType, nights });
 
-  return buildSummaryPrompt(conversation.id, stayType, nights);
+  return goToNextStep(conversation.id);
 }
 
 export async function handleCustomNightsState(conversation, text) {
   const n = parseInt(String(text || "").trim(), 10);
-  if (Number.isNaN(n) || n < 1 || n > 90) return "Enter 1–90 nights.";
+  if (Number.isNaN(n) || n < 1 || n > 90) {
+    return t(conversation.locale, "customNightsInvalid");
+  }
 
-  await updateConversation(conversation.id, {
-    stay_type: "custom",
-    nights: n,
-    current_state: "awaiting_summary_confirmation",
-  });
+  await updateConversation(conversation.id, { stay_type: "custom", nights: n });
 
-  return buildSummaryPrompt(conversation.id, "custom", n);
+  return goToNextStep(conversation.id);
 }
 
 export async function buildSummaryPrompt(conversationId, stayType, nights) {
@@ -349,9 +640,11 @@ export async function buildSummaryPrompt(conversationId, stayType, nights) {
     await notifyOwnerAlert(
       `Error loading conversation for summary: ${convErr.message}`
     );
-    return "We couldn't build your summary. Try again in a moment or text SUPPORT for help.";
+    return t(null, "summaryLoadError");
   }
 
+  const locale = conv.locale;
+
   const { data: lot, error: lotErr } = await supabase
     .from("lots")
     .select("*")
@@ -361,14 +654,19 @@ export async function buildSummaryPrompt(conversationId, stayType, nights) {
   if (lotErr) {
     console.error("Error loading lot for summary:", lotErr);
     await notifyOwnerAlert(`Error loading lot for summary: ${lotErr.message}`);
-    return "We couldn't load the lot details. Try again shortly or text SUPPORT for help.";
+    return t(locale, "summaryLotError");
   }
 
-  // Availability: tonight + minimum across stay
-  const stallsTonight = await getStallsLeftTonight(lot.id);
-
-  const startDate = isoDate(new Date());
+  // Availability: arrival night + minimum across stay
+  const startDate = conv.arrival_date || todayIsoInZone(lot.time_zone);
   const endDate = addDaysIso(startDate, Number(nights || 1));
+  const nightLabel = arrivalNightLabel(startDate, lot.time_zone, locale);
+
+  const stallsTonight = await getStallsLeftOnArrival(
+    lot.id,
+    startDate,
+    lot.time_zone
+  );
   const stallsMin =
     Number(nights || 1) > 1
       ? await getMinStallsLeftForStay(lot.id, startDate, endDate)
@@ -376,65 +674,301 @@ export async function buildSummaryPrompt(conversationId, stayType, nights) {
 
   const stallsLines = [];
   if (typeof stallsTonight === "number") {
-    stallsLines.push(`• Spots left tonight: ${stallsTonight}`);
+    stallsLines.push(
+      t(locale, "summarySpotsLeft", { nightLabel, count: stallsTonight })
+    );
   }
   if (typeof stallsMin === "number" && Number(nights || 1) > 1) {
-    stallsLines.push(`• Min spots during stay: ${stallsMin}`);
+    stallsLines.push(t(locale, "summaryMinSpots", { count: stallsMin }));
   }
 
   const stallsBlock = stallsLines.length ? `\n${stallsLines.join("\n")}\n` : "\n";
 
+  const vehicles = conversationVehicles(conv);
+  const truckLines =
+    vehicles.length > 1
+      ? [
+          t(locale, "summaryTrucks", { count: vehicles.length }),
+          ...vehicles.map((veh, i) =>
+            t(locale, "summaryFleetTruck", {
+              index: i + 1,
+              truckType: veh.truck_type,
+              makeModel: veh.truck_make_model,
+              plate: veh.license_plate_raw,
+            })
+          ),
+        ]
+      : [
+          t(locale, "summaryTruck", {
+            truckType: conv.truck_type,
+            makeModel: conv.truck_make_model,
+          }),
+          t(locale, "summaryPlate", { plate: conv.license_plate_raw }),
+        ];
+
   // total comes from your pricing logic in payments (authoritative)
   // Here we keep the SMS summary simple and let createBooking compute total.
   return withCommandsFooter(
-    "Here’s your booking:\n" +
-      `• Lot: ${lot.name}${lot.region_label ? " – " + lot.region_label : ""}\n` +
+    t(locale, "summaryHeader") +
+      "\n" +
+      t(locale, "summaryLot", { lotLabel: lotLabel(lot) }) +
+      "\n" +
       stallsBlock +
-      `• Name: ${conv.driver_full_name}\n` +
-      `• Truck: ${conv.truck_type} – ${conv.truck_make_model}\n` +
-      `• Plate: ${conv.license_plate_raw}\n` +
-      `• Stay: ${nights} night(s)\n\n` +
-      "Reply YES to get your payment link, or NO to cancel."
+      [
+        t(locale, "summaryName", { name: conv.driver_full_name }),
+        ...truckLines,
+        t(locale, "summaryArriving", {
+          date: formatArrivalDate(startDate, locale),
+        }),
+        t(locale, "summaryStay", {
+          nights,
+          datesLine: formatDateRange(startDate, endDate),
+        }),
+      ].join("\n") +
+      "\n\n" +
+      t(locale, "summaryConfirm"),
+    locale
   );
 }
 
+// EDIT <field> at the summary: jump back to that one question. Every state
+// hands off through goToNextStep, so once it's answered the driver lands
+// straight back on the summary.
+const editTargets = {
+  PLATE: "plate",
+  PLACA: "plate",
+  NAME: "name",
+  NOMBRE: "name",
+  TRUCK: "truck",
+  CAMION: "truck",
+  "CAMIÓN": "truck",
+  NIGHTS: "nights",
+  STAY: "nights",
+  NOCHES: "nights",
+  LOT: "lot",
+  LOCATION: "lot",
+  LOTE: "lot",
+  ESTACIONAMIENTO: "lot",
+  DATE: "date",
+  ARRIVAL: "date",
+  FECHA: "date",
+};
+
+const editSteps = {
+  plate: { state: "awaiting_plate", prompt: "platePrompt" },
+  name: { state: "awaiting_name", prompt: "namePrompt" },
+  truck: {
+    state: "awaiting_truck_type",
+    prompt: "truckTypePrompt",
+    clear: { truck_type: null, truck_make_model: null },
+  },
+  nights: { state: "awaiting_stay_option", prompt: "stayOptionPrompt" },
+  lot: {
+    state: "awaiting_location_or_lot_code",
+    prompt: "wherePrompt",
+    clear: {
+      lot_id: null,
+      location_raw_input: null,
+      location_latitude: null,
+      location_longitude: null,
+    },
+  },
+  date: {
+    state: "awaiting_arrival_date",
+    prompt: "arrivalQuestion",
+    clear: { arrival_date: null },
+  },
+};
+
+function parseEditCommand(command) {
+  const m = command.match(/^(?:EDIT|EDITAR)(?:\s+(\S+))?$/);
+  if (!m) return null;
+  return { target: m[1] ? editTargets[m[1]] || null : null };
+}
+
 export async function handleSummaryConfirmState(conversation, text) {
-  const upper = String(text || "").trim().toUpperCase();
+  const locale = conversation.locale;
+  const command = normalizeCommand(text);
 
-  if (upper === "NO" || upper === "N") {
+  if (command === "NO" || command === "N") {
     await updateConversation(conversation.id, {
       current_state: "cancelled",
       is_active: false,
     });
-    return "No problem, booking cancelled.";
+    return t(locale, "summaryCancelled");
+  }
+
+  const edit = parseEditCommand(command);
+  if (edit) {
+    if (!edit.target) return t(locale, "editOptions");
+
+    const step = editSteps[edit.target];
+    await updateConversation(conversation.id, {
+      ...(step.clear || {}),
+      current_state: step.state,
+    });
+    return t(locale, step.prompt);
+  }
+
+  // Fleet: park the current truck in fleet_vehicles and collect the next one
+  if (command === "ADD") {
+    const vehicles = conversationVehicles(conversation);
+    if (vehicles.length >= MAX_FLEET_TRUCKS) {
+      return t(locale, "fleetMax", { max: MAX_FLEET_TRUCKS });
+    }
+
+    await updateConversation(conversation.id, {
+      fleet_vehicles: vehicles,
+      truck_type: null,
+      truck_make_model: null,
+      license_plate_raw: null,
+    });
+
+    return (
+      t(locale, "fleetAddPrompt", { number: vehicles.length + 1 }) +
+      "\n\n" +
+      (await goToNextStep(conversation.id))
+    );
+  }
+
+  if (!(command === "YES" || command === "Y")) {
+    return t(locale, "summaryConfirm");
+  }
+
+  return null;
+}
+
+// STATUS list – the booking ids are snapshotted on the conversation so the
+// numbers still point at the same bookings when the driver replies
+export async function buildStatusPrompt(bookings, locale) {
+  const lotIds = [...new Set(bookings.map((b) => b.lot_id))];
+  const { data: lots, error } = await supabase
+    .from("lots")
+    .select("*")
+    .in("id", lotIds);
+
+  if (error) console.error("Error loading lots for STATUS:", error);
+  const lotsById = new Map((lots || []).map((lot) => [lot.id, lot]));
+
+  const items = bookings.map((b, i) => {
+    const lot = lotsById.get(b.lot_id);
+    const nav = lot ? buildNavigateLink(lot) : { url: "" };
+
+    return t(locale, "statusItem", {
+      index: i + 1,
+      lotName: lot ? lotLabel(lot) : "OpenYard lot",
+      datesLine: formatDateRange(b.start_date, b.end_date),
+      plate: b.license_plate_raw || "—",
+      paymentStatus: t(
+        locale,
+        b.status === "confirmed" ? "statusPaid" : "statusAwaitingPayment"
+      ),
+      url: nav.url || "https://www.google.com/maps",
+    });
+  });
+
+  return (
+    t(locale, "statusHeader") +
+    "\n\n" +
+    items.join("\n\n") +
+    "\n\n" +
+    t(locale, "statusFooter")
+  );
+}
+
+export async function handleStatusChoiceState(conversation, text) {
+  const ids = conversation.status_booking_ids || [];
+  const n = parseInt(String(text || "").trim(), 10);
+  if (Number.isNaN(n) || n < 1 || n > ids.length) {
+    return t(conversation.locale, "statusChoiceInvalid");
+  }
+
+  await updateConversation(conversation.id, { status_booking_id: ids[n - 1] });
+
+  // null = caller re-sends the confirmation (see resendBookingConfirmation)
+  return null;
+}
+
+// ARRIVED at a lot with ask_stall_number – record where they parked
+export async function handleStallNumberState(conversation, text) {
+  const locale = conversation.locale;
+  const command = normalizeCommand(text);
+
+  const finish = () =>
+    updateConversation(conversation.id, {
+      current_state: "completed",
+      is_active: false,
+    });
+
+  if (command === "SKIP") {
+    await finish();
+    return t(locale, "stallSkipped");
+  }
+
+  const stall = String(text || "").trim().toUpperCase();
+  if (!stall || stall.length > 10) return t(locale, "stallInvalid");
+
+  const { error } = await supabase
+    .from("bookings")
+    .update({ stall_number: stall, updated_at: new Date().toISOString() })
+    .eq("id", conversation.checkin_booking_id);
+
+  if (error) console.error("Error saving stall number:", error);
+
+  await finish();
+  return t(locale, "stallSaved", { stall });
+}
+
+export async function handleExtendNightsState(conversation, text) {
+  const n = parseInt(String(text || "").trim(), 10);
+  if (Number.isNaN(n) || n < 1 || n > 30) {
+    return t(conversation.locale, "extendNightsInvalid");
+  }
+
+  await updateConversation(conversation.id, { extend_nights: n });
+
+  // null = caller creates the extension checkout (see createExtensionCheckout)
+  return null;
+}
+
+export async function handleCancelConfirmState(conversation, text) {
+  const locale = conversation.locale;
+  const command = normalizeCommand(text);
+
+  if (command === "NO" || command === "N") {
+    await updateConversation(conversation.id, {
+      current_state: "completed",
+      is_active: false,
+    });
+    return t(locale, "cancelKept");
   }
 
-  if (!(upper === "YES" || upper === "Y")) {
-    return "Reply YES to get your payment link, or NO to cancel.";
+  if (!(command === "YES" || command === "Y")) {
+    return t(locale, "cancelConfirmRetry");
   }
 
+  // null = caller runs the cancellation + refund (see cancelBookingWithRefund)
   return null;
 }
 
 export async function handleAwaitingPaymentState(conversation, trimmedUpper) {
+  const locale = conversation.locale;
   const wantsLink = ["LINK", "PAY", "PAYMENT", "YES", "Y", "RESEND"].includes(
-    String(trimmedUpper || "").toUpperCase().trim()
+    normalizeCommand(trimmedUpper)
   );
 
-  if (!wantsLink) {
-    return (
-      "Your payment link was already sent.\n" +
-      "Complete payment to confirm, or text RESET to start over."
-    );
-  }
+  if (!wantsLink) return t(locale, "paymentAlreadySent");
 
-  if (!conversation.booking_id) {
-    return (
-      "We tried to find your payment link but ran into an issue.\n" +
-      "Text RESET to start a fresh booking."
+  // EXTEND flow: the booking is already paid, only the extension session is open
+  if (conversation.extend_stripe_session_id) {
+    return resendCheckoutLink(
+      conversation,
+      conversation.extend_stripe_session_id
     );
   }
 
+  if (!conversation.booking_id) return t(locale, "paymentLinkIssue");
+
   const { data: bookingRows, error: bookingErr } = await supabase
     .from("bookings")
     .select("*")
@@ -448,59 +982,41 @@ export async function handleAwaitingPaymentState(conversation, trimmedUpper) {
         bookingErr ? bookingErr.message : "not found"
       }`
     );
-    return (
-      "We hit a snag trying to find your payment.\n" +
-      "Your card has not been charged. Text RESET to start over."
-    );
+    return t(locale, "paymentSnag");
   }
 
   const booking = bookingRows[0];
 
   if (booking.status === "confirmed") {
-    return (
-      "Your booking is already confirmed and paid.\n" +
-      `Dates: ${formatDateRange(booking.start_date, booking.end_date)}\n` +
-      `Plate: ${booking.license_plate_raw}`
-    );
+    return t(locale, "paymentAlreadyConfirmed", {
+      datesLine: formatDateRange(booking.start_date, booking.end_date),
+      plate: booking.license_plate_raw,
+    });
   }
 
   if (booking.status !== "pending_payment" || !booking.stripe_session_id) {
-    return (
-      "We could not re-open your payment link.\n" +
-      "Text RESET to start a new booking."
-    );
+    return t(locale, "paymentReopenFailed");
   }
 
+  return resendCheckoutLink(conversation, booking.stripe_session_id);
+}
+
+async function resendCheckoutLink(conversation, stripeSessionId) {
+  const locale = conversation.locale;
+
   try {
-    const stripeSessionId = booking.stripe_session_id;
     const { default: Stripe } = await import("stripe");
     const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
     const session = await stripe.checkout.sessions.retrieve(stripeSessionId);
-    if (!session || !session.url) {
-      return (
-        "We could not re-open your payment link.\n" +
-        "Text RESET to start a new booking."
-      );
-    }
-
-    await logSms(
-      booking.conversation_id,
-      booking.driver_phone_e164,
-      "outbound",
-      session.url
-    );
+    if (!session || !session.url) return t(locale, "paymentReopenFailed");
 
-    return "Here’s your secure payment link:\n" + session.url;
+    return t(locale, "paymentLinkResend", { url: session.url });
   } catch (err) {
     console.error("Error retrieving Stripe session for resend:", err);
     await notifyOwnerAlert(
       `Error retrieving Stripe session for resend: ${err.message}`
     );
-    return (
-      "We had trouble re-opening your payment link.\n" +
-      "Your card has not been charged. Text RESET to start over."
-    );
+    return t(locale, "paymentReopenError");
   }
 }
-
@@ -0,0 +1,716 @@
+// sms/states/machine.js – the conversation flow as data
+//
+// Every inbound SMS runs through handleIncomingSms below:
+//   0) support operator replies, opted-out phones (STOP) and open support
+//      threads bypass the bot
+//   1) load the active conversation (30 min auto-expire)
+//   2) global keywords, in order – unless the current state overrides one
+//   3) no conversation → free-form booking request or "text BOOK"
+//   4) the current state's handler; a null reply means "run the state's action"
+// Replies are text, or withRedactions(text, codes) when they show gate codes.
+//
+// The keyword and state definitions themselves (commands, prompts,
+// transitions) are in definitions.js, which npm run states prints.
+import { DateTime } from "luxon";
+import {
+  supabase,
+  logSms,
+  updateConversation,
+  deactivateActiveConversations,
+  findCurrentConfirmedBooking,
+  listUpcomingBookings,
+  getDriverLocale,
+  setDriverLocale,
+  joinWaitlist,
+  leaveWaitlist,
+  findBookingsToCheckIn,
+  findBookingsToCheckOut,
+  findOpenSupportThread,
+  closeSupportThreads,
+  isOptedOut,
+  setOptOut,
+} from "../../db/db.js";
+import {
+  notifyOwnerAlert,
+  todayIsoInZone,
+  arrivalNightLabel,
+  formatArrivalDate,
+  computeReviewSendAtAfterCheckout,
+  withRedactions,
+} from "../../utils/index.js";
+import {
+  t,
+  normalizeCommand,
+  normalizeLocale,
+  detectLocale,
+} from "../../utils/messages.js";
+import { extractBookingIntent } from "../intent.js";
+import {
+  supportOperatorPhone,
+  isSupportOperator,
+  openSupportThread,
+  relayDriverMessage,
+  handleOperatorSms,
+} from "../support.js";
+import {
+  withCommandsFooter,
+  handleArrivalDateState,
+  handleLocationState,
+  handleLotChoiceState,
+  handleProfileConfirmState,
+  handleNameState,
+  handleTruckTypeState,
+  handleMakeModelState,
+  handlePlateState,
+  handleStayOptionState,
+  handleCustomNightsState,
+  handleSummaryConfirmState,
+  handleExtendNightsState,
+  handleCancelConfirmState,
+  handleStatusChoiceState,
+  handleStallNumberState,
+  buildStatusPrompt,
+  handleAwaitingPaymentState,
+  goToNextStep,
+  isKnownLocation,
+} from "./index.js";
+import {
+  createBooking,
+  createExtensionCheckout,
+  describeCancellation,
+  cancelBookingWithRefund,
+  releasePendingBookings,
+  resendBookingConfirmation,
+  describeAccessCodes,
+} from "../../payments/index.js";
+import { keywordDefinitions, stateDefinitions } from "./definitions.js";
+
+const CONVERSATION_TIMEOUT_MS = 30 * 60 * 1000;
+
+async function lotTimeZones(lotIds) {
+  const { data: lots } = await supabase
+    .from("lots")
+    .select("id, time_zone")
+    .in("id", [...new Set(lotIds)]);
+  return new Map((lots || []).map((lot) => [lot.id, lot.time_zone]));
+}
+
+// ARRIVED/LEAVING: "today" is the date at the booking's lot, which near
+// midnight can be a day either side of the default zone's
+async function findBookingForLotToday(phone, findCandidates) {
+  const today = DateTime.fromISO(todayIsoInZone());
+  const candidates = await findCandidates(
+    phone,
+    today.minus({ days: 1 }).toISODate(),
+    today.plus({ days: 1 }).toISODate()
+  );
+  if (candidates.length === 0) return null;
+
+  const zones = await lotTimeZones(candidates.map((b) => b.lot_id));
+  return (
+    candidates.find((b) => {
+      const lotToday = todayIsoInZone(zones.get(b.lot_id));
+      return b.start_date <= lotToday && b.end_date >= lotToday;
+    }) || null
+  );
+}
+
+// Insert a fresh active conversation for a keyword flow; null on failure
+// (already logged + alerted, caller returns its own error text)
+async function startConversation(ctx, fields, label) {
+  const { data: newConv, error: newConvErr } = await supabase
+    .from("conversations")
+    .insert({
+      driver_phone_e164: ctx.phone,
+      is_active: true,
+      locale: ctx.locale,
+      last_inbound_at: new Date().toISOString(),
+      ...fields,
+    })
+    .select()
+    .single();
+
+  if (newConvErr || !newConv) {
+    console.error(`Error creating ${label} conversation:`, newConvErr);
+    await notifyOwnerAlert(
+      `Error creating ${label} conversation for ${ctx.phone}: ${
+        newConvErr ? newConvErr.message : "no row returned"
+      }`
+    );
+    return null;
+  }
+
+  return newConv;
+}
+
+// What each keyword does; commands, descriptions and the state a keyword
+// opens are in definitions.js
+const keywordHandlers = [
+  {
+    name: "LANGUAGE",
+    async handle(ctx) {
+      const chosen = ctx.command === "ESPANOL" ? "es" : "en";
+      await setDriverLocale(ctx.phone, chosen);
+      await ctx.logInbound();
+      return t(chosen, "localeSet");
+    },
+  },
+  {
+    name: "DEMO",
+    async handle(ctx) {
+      await ctx.logInbound();
+      return t(ctx.locale, "demo");
+    },
+  },
+  {
+    name: "MENU",
+    async handle(ctx) {
+      await ctx.logInbound();
+      return t(ctx.locale, "menu");
+    },
+  },
+  {
+    name: "HELP",
+    async handle(ctx) {
+      await ctx.logInbound();
+      return t(ctx.locale, "help");
+    },
+  },
+  {
+    name: "STOP",
+    async handle(ctx) {
+      await setOptOut(ctx.phone, true, ctx.command);
+      await deactivateActiveConversations(ctx.phone);
+      await releasePendingBookings(ctx.phone);
+      await leaveWaitlist(ctx.phone);
+      await closeSupportThreads({ phone: ctx.phone });
+      await ctx.logInbound();
+
+      const paid = await findCurrentConfirmedBooking(
+        ctx.phone,
+        todayIsoInZone()
+      );
+      const stopped = paid
+        ? t(ctx.locale, "stopWithPaidBooking", {
+            startDate: paid.start_date,
+            endDate: paid.end_date,
+          })
+        : t(ctx.locale, "flowCancelled");
+      return stopped + "\n\n" + t(ctx.locale, "optedOut");
+    },
+  },
+  {
+    name: "START",
+    async handle(ctx) {
+      await setOptOut(ctx.phone, false, ctx.command);
+      await ctx.logInbound();
+      return t(ctx.locale, "optedIn");
+    },
+  },
+  {
+    name: "RESET",
+    async handle(ctx) {
+      await deactivateActiveConversations(ctx.phone);
+      await ctx.logInbound();
+      return t(ctx.locale, "resetDone");
+    },
+  },
+  {
+    name: "SUPPORT",
+    async handle(ctx) {
+      const conversationId = ctx.conversation ? ctx.conversation.id : null;
+      await ctx.logInbound(conversationId);
+
+      if (!supportOperatorPhone()) return t(ctx.locale, "supportNotConfigured");
+
+      const thread = await openSupportThread({
+        phone: ctx.phone,
+        text: ctx.text,
+        conversationId,
+      });
+      if (!thread) return t(ctx.locale, "supportOpenError");
+
+      return t(ctx.locale, "supportThanks", { ticket: thread.ticket });
+    },
+  },
+  {
+    name: "BOOK",
+    async handle(ctx) {
+      if (ctx.conversation) await deactivateActiveConversations(ctx.phone);
+
+      const newConv = await startConversation(
+        ctx,
+        { current_state: "awaiting_arrival_date" },
+        "new"
+      );
+      if (!newConv) {
+        await ctx.logInbound();
+        return t(ctx.locale, "bookStartError");
+      }
+
+      await ctx.logInbound(newConv.id);
+
+      // Note: "STOP to opt out" is still in the message body (Twilio also supports STOP keywords)
+      return withCommandsFooter(t(ctx.locale, "arrivalPrompt"), ctx.locale);
+    },
+  },
+  {
+    name: "CANCEL",
+    async handle(ctx) {
+      const paid = await findCurrentConfirmedBooking(
+        ctx.phone,
+        todayIsoInZone()
+      );
+
+      if (ctx.conversation) await deactivateActiveConversations(ctx.phone);
+      await releasePendingBookings(ctx.phone);
+
+      if (!paid) {
+        await ctx.logInbound();
+        return t(ctx.locale, "flowCancelled");
+      }
+
+      const newConv = await startConversation(
+        ctx,
+        {
+          current_state: "awaiting_cancel_confirmation",
+          lot_id: paid.lot_id,
+          cancel_booking_id: paid.id,
+        },
+        "cancel"
+      );
+      if (!newConv) {
+        await ctx.logInbound();
+        return t(ctx.locale, "cancelStartError");
+      }
+
+      await ctx.logInbound(newConv.id);
+      return describeCancellation(paid, ctx.locale);
+    },
+  },
+  {
+    name: "EXTEND",
+    async handle(ctx) {
+      const booking = await findCurrentConfirmedBooking(
+        ctx.phone,
+        todayIsoInZone()
+      );
+
+      if (!booking) {
+        await ctx.logInbound();
+        return t(ctx.locale, "extendNoBooking");
+      }
+
+      if (ctx.conversation) await deactivateActiveConversations(ctx.phone);
+
+      const newConv = await startConversation(
+        ctx,
+        {
+          current_state: "awaiting_extend_nights",
+          lot_id: booking.lot_id,
+          extend_booking_id: booking.id,
+        },
+        "extend"
+      );
+      if (!newConv) {
+        await ctx.logInbound();
+        return t(ctx.locale, "extendStartError");
+      }
+
+      await ctx.logInbound(newConv.id);
+      return t(ctx.locale, "extendPrompt", { endDate: booking.end_date });
+    },
+  },
+  {
+    name: "STATUS",
+    async handle(ctx) {
+      const bookings = await listUpcomingBookings(ctx.phone, todayIsoInZone());
+
+      if (bookings.length === 0) {
+        await ctx.logInbound();
+        return t(ctx.locale, "statusNone");
+      }
+
+      if (ctx.conversation) await deactivateActiveConversations(ctx.phone);
+
+      const newConv = await startConversation(
+        ctx,
+        {
+          current_state: "awaiting_status_choice",
+          status_booking_ids: bookings.map((b) => b.id),
+        },
+        "status"
+      );
+      if (!newConv) {
+        await ctx.logInbound();
+        return t(ctx.locale, "statusStartError");
+      }
+
+      await ctx.logInbound(newConv.id);
+      return buildStatusPrompt(bookings, ctx.locale);
+    },
+  },
+  {
+    name: "ARRIVED",
+    async handle(ctx) {
+      const booking = await findBookingForLotToday(
+        ctx.phone,
+        findBookingsToCheckIn
+      );
+
+      if (!booking) {
+        await ctx.logInbound();
+        const next = await findCurrentConfirmedBooking(
+          ctx.phone,
+          todayIsoInZone()
+        );
+        const zones = next ? await lotTimeZones([next.lot_id]) : new Map();
+        if (next && next.start_date > todayIsoInZone(zones.get(next.lot_id))) {
+          return t(ctx.locale, "arrivedTooEarly", {
+            date: formatArrivalDate(next.start_date, ctx.locale),
+          });
+        }
+        if (next && next.checked_in_at) return t(ctx.locale, "arrivedAlready");
+        return t(ctx.locale, "arrivedNoBooking");
+      }
+
+      const nowIso = new Date().toISOString();
+      await supabase
+        .from("bookings")
+        .update({ checked_in_at: nowIso, updated_at: nowIso })
+        .eq("id", booking.id);
+
+      const { data: lot } = await supabase
+        .from("lots")
+        .select("*")
+        .eq("id", booking.lot_id)
+        .single();
+
+      // Re-send the gate code – today's, for lots that rotate it daily
+      const { lines: accessCodeLines, codes } = await describeAccessCodes(
+        lot,
+        [booking],
+        { locale: ctx.locale, onDate: lot && todayIsoInZone(lot.time_zone) }
+      );
+      const thanks = [
+        t(ctx.locale, "arrivedThanks", {
+          lotName: lot?.name || "OpenYard lot",
+        }),
+        ...accessCodeLines,
+      ].join("\n");
+
+      if (!lot?.ask_stall_number) {
+        await ctx.logInbound();
+        return withRedactions(thanks, codes);
+      }
+
+      if (ctx.conversation) await deactivateActiveConversations(ctx.phone);
+
+      const newConv = await startConversation(
+        ctx,
+        {
+          current_state: "awaiting_stall_number",
+          lot_id: booking.lot_id,
+          checkin_booking_id: booking.id,
+        },
+        "check-in"
+      );
+
+      await ctx.logInbound(newConv ? newConv.id : null);
+      if (!newConv) return withRedactions(thanks, codes);
+
+      return withRedactions(
+        thanks + "\n\n" + t(ctx.locale, "stallPrompt"),
+        codes
+      );
+    },
+  },
+  {
+    name: "LEAVING",
+    async handle(ctx) {
+      await ctx.logInbound();
+
+      const booking = await findBookingForLotToday(
+        ctx.phone,
+        findBookingsToCheckOut
+      );
+      if (!booking) return t(ctx.locale, "leavingNoBooking");
+
+      const nowIso = new Date().toISOString();
+      await supabase
+        .from("bookings")
+        .update({ checked_out_at: nowIso, updated_at: nowIso })
+        .eq("id", booking.id);
+
+      const reviewAt = computeReviewSendAtAfterCheckout(nowIso);
+      await supabase
+        .from("scheduled_messages")
+        .update({ send_at: reviewAt, due_at: reviewAt })
+        .eq("booking_id", booking.id)
+        .eq("message_type", "review_nudge")
+        .is("sent_at", null);
+
+      const { data: lot } = await supabase
+        .from("lots")
+        .select("name")
+        .eq("id", booking.lot_id)
+        .single();
+
+      return t(ctx.locale, "leavingThanks", {
+        lotName: lot?.name || "OpenYard lot",
+      });
+    },
+  },
+  {
+    name: "WAITLIST",
+    async handle(ctx) {
+      const conv = ctx.conversation;
+
+      if (!conv?.waitlist_lot_id || !conv.arrival_date) {
+        await ctx.logInbound(conv ? conv.id : null);
+        return t(ctx.locale, "waitlistNothing");
+      }
+
+      await ctx.logInbound(conv.id);
+
+      const joined = await joinWaitlist({
+        phone: ctx.phone,
+        lotId: conv.waitlist_lot_id,
+        stayDate: conv.arrival_date,
+        conversationId: conv.id,
+      });
+      if (!joined) return t(ctx.locale, "waitlistStartError");
+
+      const { data: lot } = await supabase
+        .from("lots")
+        .select("name, time_zone")
+        .eq("id", conv.waitlist_lot_id)
+        .single();
+
+      await updateConversation(conv.id, {
+        current_state: "waitlisted",
+        is_active: false,
+      });
+
+      const key = joined.already ? "waitlistAlready" : "waitlistJoined";
+      return t(ctx.locale, key, {
+        lotName: lot?.name || "OpenYard lot",
+        nightLabel: arrivalNightLabel(
+          conv.arrival_date,
+          lot?.time_zone,
+          ctx.locale
+        ),
+        position: joined.position,
+      });
+    },
+  },
+];
+
+// handleAwaitingPaymentState expects the normalized command, not raw text
+function handleAwaitingPaymentReply(conversation, text) {
+  return handleAwaitingPaymentState(conversation, normalizeCommand(text));
+}
+
+// Handlers and actions named in stateDefinitions
+const stateHandlers = {
+  handleArrivalDateState,
+  handleLocationState,
+  handleLotChoiceState,
+  handleProfileConfirmState,
+  handleNameState,
+  handleTruckTypeState,
+  handleMakeModelState,
+  handlePlateState,
+  handleStayOptionState,
+  handleCustomNightsState,
+  handleSummaryConfirmState,
+  handleExtendNightsState,
+  handleCancelConfirmState,
+  handleStatusChoiceState,
+  handleStallNumberState,
+  handleAwaitingPaymentReply,
+  createBooking,
+  createExtensionCheckout,
+  cancelBookingWithRefund,
+  resendBookingConfirmation,
+};
+
+function bound(table, name, owner) {
+  const fn = table[name];
+  if (!fn) throw new Error(`State machine: no handler "${name}" for ${owner}`);
+  return fn;
+}
+
+const keywordHandlersByName = Object.fromEntries(
+  keywordHandlers.map((k) => [k.name, k.handle])
+);
+
+export const keywords = keywordDefinitions.map((def) => ({
+  ...def,
+  handle: bound(keywordHandlersByName, def.name, def.name),
+}));
+
+export const states = Object.fromEntries(
+  Object.entries(stateDefinitions).map(([name, def]) => [
+    name,
+    def.terminal
+      ? def
+      : {
+          ...def,
+          handle: bound(stateHandlers, def.handler, name),
+          action: def.action && bound(stateHandlers, def.action, name),
+        },
+  ])
+);
+
+function findKeyword(command, conversation) {
+  const overrides = states[conversation?.current_state]?.overrides || [];
+  return keywords.find(
+    (k) =>
+      k.commands.includes(command) &&
+      !overrides.some((name) => k.commands.includes(name))
+  );
+}
+
+async function loadActiveConversation(phone) {
+  const { data: convRows, error: convErr } = await supabase
+    .from("conversations")
+    .select("*")
+    .eq("driver_phone_e164", phone)
+    .eq("is_active", true)
+    .order("created_at", { ascending: false })
+    .limit(1);
+
+  if (convErr) {
+    console.error("Error loading active conversation:", convErr);
+    await notifyOwnerAlert(
+      `Error loading active conversation for ${phone}: ${convErr.message}`
+    );
+  }
+
+  const conversation = convRows && convRows[0] ? convRows[0] : null;
+
+  // Auto-expire after 30 min (failsafe)
+  if (conversation?.last_inbound_at) {
+    const last = new Date(conversation.last_inbound_at).getTime();
+    if (Date.now() - last > CONVERSATION_TIMEOUT_MS) {
+      await deactivateActiveConversations(phone);
+      return null;
+    }
+  }
+
+  return conversation;
+}
+
+// Free-form request ("need parking Bozeman MT 3 nights semi") starts a
+// booking pre-filled with whatever we could pick out of it. Without a
+// parking word it has to name a known lot or place – "see you tomorrow" is
+// not a booking.
+async function handleNoConversation(ctx) {
+  const intent = extractBookingIntent(ctx.text);
+  const isRequest =
+    intent &&
+    (intent.hasIntentWord || (await isKnownLocation(intent.location)));
+
+  if (isRequest) {
+    const newConv = await startConversation(
+      ctx,
+      {
+        current_state: "awaiting_arrival_date",
+        location_raw_input: intent.location,
+        ...intent.fields,
+      },
+      "pre-filled"
+    );
+
+    if (newConv) {
+      await ctx.logInbound(newConv.id);
+      return withCommandsFooter(await goToNextStep(newConv.id), ctx.locale);
+    }
+  }
+
+  await ctx.logInbound();
+  return t(ctx.locale, "noConversation");
+}
+
+async function refreshConversation(conversation) {
+  const { data, error } = await supabase
+    .from("conversations")
+    .select("*")
+    .eq("id", conversation.id)
+    .single();
+  if (error) {
+    console.error("Error refreshing conversation:", error);
+    return conversation;
+  }
+  return data || conversation;
+}
+
+// Process one inbound message and return the plain-text reply
+export async function handleIncomingSms(phone, text, rawPayload) {
+  if (isSupportOperator(phone)) {
+    const operatorReply = await handleOperatorSms(text);
+    if (operatorReply !== null) return operatorReply;
+  }
+
+  const command = normalizeCommand(text);
+
+  // Saved preference first; otherwise guess from this message (and remember it)
+  let savedLocale = await getDriverLocale(phone);
+  if (!savedLocale) {
+    savedLocale = detectLocale(text);
+    if (savedLocale) await setDriverLocale(phone, savedLocale);
+  }
+
+  const conversation = await loadActiveConversation(phone);
+
+  const ctx = {
+    phone,
+    text,
+    rawPayload,
+    command,
+    locale: normalizeLocale(savedLocale),
+    conversation,
+    logInbound: (conversationId = null) =>
+      logSms(conversationId, phone, "inbound", text, rawPayload),
+  };
+
+  const keyword = findKeyword(command, conversation);
+
+  // Opted out: only STOP / START / HELP get an answer until they opt back in
+  if (
+    !["STOP", "START", "HELP"].includes(keyword?.name) &&
+    (await isOptedOut(phone))
+  ) {
+    await ctx.logInbound(conversation ? conversation.id : null);
+    return "";
+  }
+
+  // A human has this driver – relay everything except STOP
+  const supportThread = await findOpenSupportThread(phone);
+  if (supportThread && keyword?.name !== "STOP") {
+    await ctx.logInbound(supportThread.conversation_id);
+    return relayDriverMessage(supportThread, phone, text);
+  }
+
+  if (keyword) return keyword.handle(ctx);
+
+  if (!conversation) return handleNoConversation(ctx);
+
+  // Log inbound + bump last_inbound_at
+  await ctx.logInbound(conversation.id);
+  await updateConversation(conversation.id, {
+    last_inbound_at: new Date().toISOString(),
+  });
+
+  const state = states[conversation.current_state];
+
+  if (!state || state.terminal) return t(ctx.locale, "noConversation");
+
+  const reply = await state.handle(conversation, text, rawPayload);
+  if (reply !== null || !state.action) return reply;
+
+  // IMPORTANT: refresh conversation after state handlers might have changed it
+  // (the action needs the fields the handler just saved)
+  return state.action(await refreshConversation(conversation));
+}
@@ -0,0 +1,8 @@
+// sms/states/printStates.js – print the conversation flow for review
+//   npm run states               → keyword + state list
+//   npm run states -- --mermaid  → Mermaid stateDiagram-v2 source
+import "dotenv/config";
+import { describeStates, statesToMermaid } from "./definitions.js";
+
+const mermaid = process.argv.includes("--mermaid");
+console.log(mermaid ? statesToMermaid() : describeStates());
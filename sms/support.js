@@ -0,0 +1,160 @@
+// sms/support.js – SUPPORT hands the driver to a human operator
+//
+// SUPPORT opens a thread with a short ticket tag (#K7P2) and pauses the bot
+// for that phone. Driver texts are relayed to the operator phone as
+// "[#K7P2] +1555…: text"; the operator answers "#K7P2 your reply" (relayed
+// back from the OpenYard number) or "#K7P2 CLOSE" to hand the driver back.
+import { randomInt } from "node:crypto";
+import {
+  getDriverLocale,
+  findSupportThreadByTicket,
+  listOpenSupportThreads,
+  createSupportThread,
+  touchSupportThread,
+  closeSupportThreads,
+} from "../db/db.js";
+import { sendSms } from "../utils/index.js";
+import { t, normalizeLocale } from "../utils/messages.js";
+
+// No 0/O, 1/I/L – tags get typed on a phone keyboard
+const TICKET_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const TICKET_LENGTH = 4;
+
+const closeWords = new Set(["CLOSE", "CLOSED", "CERRAR"]);
+
+export function supportOperatorPhone() {
+  return (
+    process.env.SUPPORT_OPERATOR_PHONE_E164 ||
+    process.env.ALERT_PHONE_E164 ||
+    null
+  );
+}
+
+export function isSupportOperator(phone) {
+  return Boolean(phone) && phone === supportOperatorPhone();
+}
+
+function newTicket() {
+  let ticket = "";
+  for (let i = 0; i < TICKET_LENGTH; i++) {
+    ticket += TICKET_ALPHABET[randomInt(TICKET_ALPHABET.length)];
+  }
+  return ticket;
+}
+
+async function sendToOperator(body) {
+  try {
+    const { sent } = await sendSms({
+      to: supportOperatorPhone(),
+      body,
+      messageClass: "operator",
+      messageType: "support_relay",
+    });
+    return sent;
+  } catch (err) {
+    console.error("Error relaying to support operator:", err);
+    return false;
+  }
+}
+
+/**
+ * Open a support thread for the driver. Returns the thread, or
+ * null when the operator couldn't be reached.
+ */
+export async function openSupportThread({ phone, text, conversationId }) {
+  let thread = null;
+
+  // Ticket tags only need to be unique among open threads
+  for (let attempt = 0; attempt < 5 && !thread; attempt++) {
+    const ticket = newTicket();
+    if (await findSupportThreadByTicket(ticket)) continue;
+    thread = await createSupportThread({ phone, ticket, conversationId });
+    if (!thread) return null;
+  }
+  if (!thread) return null;
+
+  const sent = await sendToOperator(
+    `[#${thread.ticket}] New support request from ${phone}: "${text}"\n` +
+      `Reply "#${thread.ticket} your message", or "#${thread.ticket} CLOSE" ` +
+      `to hand them back to the bot.`
+  );
+
+  if (!sent) {
+    await closeSupportThreads({ threadId: thread.id });
+    return null;
+  }
+
+  return thread;
+}
+
+// Driver text while a thread is open – relayed, no bot reply
+export async function relayDriverMessage(thread, phone, text) {
+  await touchSupportThread(thread.id);
+  await sendToOperator(`[#${thread.ticket}] ${phone}: ${text}`);
+  return "";
+}
+
+/**
+ * Operator text. Returns the reply for the operator, or null when it isn't
+ * addressed to a ticket (so it runs through the normal bot flow).
+ */
+export async function handleOperatorSms(text) {
+  const m = String(text || "")
+    .trim()
+    .match(/^(#)?([A-Za-z0-9]{4})\b[\s:,-]*([\s\S]*)$/);
+
+  const thread = m ? await findSupportThreadByTicket(m[2].toUpperCase()) : null;
+
+  if (!thread) {
+    // "#XXXX …" was clearly meant for a ticket; anything else may be a keyword
+    if (m && m[1]) return `No open ticket #${m[2].toUpperCase()}.`;
+
+    const open = await listOpenSupportThreads();
+    if (!open.length) return null;
+
+    return (
+      `Start your reply with a ticket tag. Open: ` +
+      open.map((th) => `#${th.ticket} (${th.driver_phone_e164})`).join(", ")
+    );
+  }
+
+  const body = m[3].trim();
+  if (!body) return `Nothing to send to #${thread.ticket}.`;
+
+  const phone = thread.driver_phone_e164;
+  const locale = normalizeLocale(await getDriverLocale(phone));
+
+  if (closeWords.has(body.toUpperCase())) {
+    await closeSupportThreads({ threadId: thread.id });
+
+    const closedMsg = t(locale, "supportClosed", { ticket: thread.ticket });
+    try {
+      await sendSms({
+        to: phone,
+        body: closedMsg,
+        messageType: "support_reply",
+        conversationId: thread.conversation_id,
+      });
+    } catch (err) {
+      console.error("Error sending support close notice:", err);
+    }
+    return `Closed #${thread.ticket} – ${phone} is back with the bot.`;
+  }
+
+  const reply = t(locale, "supportReply", { message: body });
+  try {
+    const { sent } = await sendSms({
+      to: phone,
+      body: reply,
+      messageType: "support_reply",
+      conversationId: thread.conversation_id,
+    });
+    if (!sent) return `Not delivered to #${thread.ticket}: ${phone} opted out.`;
+  } catch (err) {
+    console.error("Error relaying support reply:", err);
+    return `Couldn't deliver to #${thread.ticket}: ${err?.message || err}`;
+  }
+
+  await touchSupportThread(thread.id);
+  return "";
+}
@@ -0,0 +1,466 @@
+// templates/index.js – payment link, confirmation and review nudge copy,
+// with per-lot overrides
+//
+// Lot owners can replace any of the three messages (per locale) with their
+// own text using {placeholders}. Overrides are validated when saved and again
+// when used; anything invalid – or no override at all – falls back to the
+// built-in message below.
+import { DateTime } from "luxon";
+import {
+  supabase,
+  getLotTemplate,
+  saveLotTemplate,
+  deleteLotTemplate,
+} from "../db/db.js";
+import { shapeMessage, todayIsoInZone } from "../utils/index.js";
+import { countSegments } from "../utils/segments.js";
+import {
+  buildLotAddress,
+  hasMeaningfulAddress,
+  buildNavigateLink,
+  formatDateRange,
+} from "../utils/lotLinks.js";
+import {
+  t,
+  nightsText,
+  fillPlaceholders,
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+} from "../utils/messages.js";
+
+const MAX_TEMPLATE_LENGTH = 1200;
+
+// Sent to a US number for the preview's segment count
+const PREVIEW_ADDRESS = "+15555550100";
+
+// ---------- built-in messages ----------
+
+function lotLabel(lotName, lotCode) {
+  return `${lotName}${lotCode ? ` (${lotCode})` : ""}`;
+}
+
+function templatePaymentLink({
+  lotName,
+  lotCode,
+  nights,
+  totalCents,
+  url,
+  datesLine,
+  isExtension,
+  truckCount = 1,
+  plates = [],
+  locale,
+}) {
+  const dollars = Math.round(Number(totalCents) / 100);
+  const lotLine = lotLabel(lotName, lotCode);
+  const nightsLine =
+    (truckCount > 1 ? t(locale, "trucksTimes", { count: truckCount }) : "") +
+    nightsText(locale, nights, { extra: isExtension });
+
+  return (
+    t(locale, "payLinkHeader") +
+    "\n" +
+    `${lotLine}\n` +
+    (datesLine ? t(locale, "payLinkDates", { datesLine }) + "\n" : "") +
+    (plates.length > 1
+      ? t(locale, "confirmPlates", { plates: plates.join(", ") }) + "\n"
+      : plates.length === 1
+      ? t(locale, "confirmPlate", { plate: plates[0] }) + "\n"
+      : "") +
+    `${nightsLine} • $${dollars}\n\n` +
+    `${url}\n\n` +
+    t(locale, "payLinkFooter")
+  );
+}
+
+function templateConfirmation({
+  lotName,
+  lotCode,
+  datesLine,
+  plate,
+  plates,
+  accessCodeLines = [],
+  addressLine,
+  navigateUrl,
+  gpsLine,
+  instructions,
+  locale,
+}) {
+  const lines = [];
+
+  lines.push(t(locale, "confirmHeader"));
+  lines.push(lotLabel(lotName, lotCode));
+  lines.push(t(locale, "confirmDates", { datesLine }));
+  if (plates && plates.length > 1) {
+    lines.push(t(locale, "confirmPlates", { plates: plates.join(", ") }));
+  } else if (plate) {
+    lines.push(t(locale, "confirmPlate", { plate }));
+  }
+  lines.push(...accessCodeLines);
+  lines.push("");
+
+  if (addressLine) {
+    lines.push(t(locale, "confirmAddress", { address: addressLine }));
+  }
+  lines.push(t(locale, "confirmNavigate", { url: navigateUrl }));
+  if (gpsLine) lines.push(t(locale, "confirmGps", { gps: gpsLine }));
+  lines.push("");
+
+  lines.push(t(locale, "confirmInstructionsHeader"));
+  lines.push(instructions || t(locale, "defaultInstructions"));
+  lines.push("");
+
+  lines.push(t(locale, "confirmKeep"));
+  lines.push(t(locale, "confirmSupport"));
+
+  return lines.join("\n");
+}
+
+function templateReviewNudge({
+  firstName,
+  lotName,
+  lotCode,
+  navigateUrl,
+  reviewUrl,
+  locale,
+}) {
+  return t(locale, "reviewNudge", {
+    firstName,
+    lotLabel: lotLabel(lotName, lotCode),
+    navigateLine: navigateUrl
+      ? t(locale, "reviewNavigate", { url: navigateUrl })
+      : "",
+    reviewUrl,
+  });
+}
+
+// ---------- template definitions ----------
+
+// Available in every template
+const LOT_PLACEHOLDERS = [
+  "lotName",
+  "lotCode",
+  "addressLine",
+  "navigateUrl",
+  "gpsLine",
+  "instructions",
+  "checkInTime",
+];
+
+/**
+ * Lot details shared by all three messages. The confirmation uses the same
+ * fallbacks (maps link, default instructions) whether or not it's overridden.
+ */
+export function lotTemplateVars(lot, locale) {
+  const addressRaw = lot ? buildLotAddress(lot) : "";
+  const nav = lot
+    ? buildNavigateLink(lot)
+    : { url: "", gpsLine: "", used: "name" };
+
+  return {
+    lotName: lot?.name || "OpenYard lot",
+    lotCode: lot?.lot_code || "",
+    addressLine:
+      addressRaw && hasMeaningfulAddress(addressRaw) ? addressRaw : "",
+    navigateUrl: nav.url || "https://www.google.com/maps",
+    gpsLine: nav.gpsLine || "",
+    instructions: lot?.parking_instructions || t(locale, "defaultInstructions"),
+    checkInTime: lot?.check_in_time || "",
+  };
+}
+
+// placeholders: what owners may use beyond LOT_PLACEHOLDERS; required: what
+// an override must keep (the link, the gate code, the review link); vars:
+// message inputs → placeholder values
+export const TEMPLATES = {
+  payment_link: {
+    messageType: "reply",
+    placeholders: [
+      "lotLine",
+      "datesLine",
+      "plates",
+      "nightsLine",
+      "total",
+      "url",
+    ],
+    required: ["url"],
+    builtIn: templatePaymentLink,
+    vars: (input) => ({
+      lotLine: lotLabel(input.lotName, input.lotCode),
+      datesLine: input.datesLine || "",
+      nightsLine:
+        (input.truckCount > 1
+          ? t(input.locale, "trucksTimes", { count: input.truckCount })
+          : "") +
+        nightsText(input.locale, input.nights, { extra: input.isExtension }),
+      total: `$${Math.round(Number(input.totalCents) / 100)}`,
+      url: input.url,
+      plates: (input.plates || []).join(", "),
+    }),
+  },
+  confirmation: {
+    messageType: "confirmation",
+    placeholders: ["lotLine", "datesLine", "plates", "accessCodeLines"],
+    required: ["accessCodeLines"],
+    builtIn: templateConfirmation,
+    vars: (input) => ({
+      lotLine: lotLabel(input.lotName, input.lotCode),
+      datesLine: input.datesLine,
+      plates:
+        input.plates && input.plates.length > 1
+          ? input.plates.join(", ")
+          : input.plate || "",
+      accessCodeLines: (input.accessCodeLines || []).join("\n"),
+    }),
+  },
+  review_nudge: {
+    messageType: "review_nudge",
+    placeholders: ["lotLine", "firstName", "reviewUrl"],
+    required: ["reviewUrl"],
+    builtIn: templateReviewNudge,
+    vars: (input) => ({
+      lotLine: lotLabel(input.lotName, input.lotCode),
+      firstName: input.firstName,
+      reviewUrl: input.reviewUrl,
+      navigateUrl: input.navigateUrl,
+    }),
+  },
+};
+
+/**
+ * Problems with an override, as sentences for the lot owner; [] = valid.
+ * Placeholders are {name} only – no stray braces, no unknown names, and the
+ * template's required placeholders must all be there.
+ */
+export function validateTemplate(key, body) {
+  const template = TEMPLATES[key];
+  if (!template) return [`Unknown template "${key}".`];
+
+  const text = String(body ?? "");
+  const errors = [];
+  if (!text.trim()) errors.push("Template is empty.");
+  if (text.length > MAX_TEMPLATE_LENGTH) {
+    errors.push(`Template is longer than ${MAX_TEMPLATE_LENGTH} characters.`);
+  }
+
+  const allowed = [...LOT_PLACEHOLDERS, ...template.placeholders];
+  const used = new Set();
+  const tokenRe = /\{(\w*)\}|[{}]/g;
+  let m;
+  while ((m = tokenRe.exec(text))) {
+    if (m[1] === undefined) {
+      errors.push(`Unmatched "${m[0]}" at position ${m.index + 1}.`);
+    } else if (!allowed.includes(m[1])) {
+      errors.push(
+        `Unknown placeholder {${m[1]}}. Available: ` +
+          allowed.map((p) => `{${p}}`).join(", ")
+      );
+    } else {
+      used.add(m[1]);
+    }
+  }
+
+  for (const name of template.required) {
+    if (!used.has(name)) errors.push(`Template must include {${name}}.`);
+  }
+  return errors;
+}
+
+// Lines made up of placeholders that came out empty are dropped, so
+// "{gpsLine}" on its own line doesn't leave a gap for lots without GPS
+function fillTemplate(body, vars) {
+  return body
+    .split("\n")
+    .flatMap((line) => {
+      const filled = fillPlaceholders(line, vars);
+      return /\{\w+\}/.test(line) && !filled.trim() ? [] : [filled];
+    })
+    .join("\n");
+}
+
+function renderOverride(key, body, lot, input) {
+  return fillTemplate(body, {
+    ...lotTemplateVars(lot, input.locale),
+    ...TEMPLATES[key].vars(input),
+  });
+}
+
+/**
+ * The message text for `key`: the lot's override for input.locale when it
+ * has a valid one, else the built-in. `input` is what the built-in takes.
+ */
+export async function renderLotMessage(lot, key, input) {
+  const template = TEMPLATES[key];
+  const override = lot ? await getLotTemplate(lot.id, key, input.locale) : null;
+
+  if (override) {
+    const errors = validateTemplate(key, override);
+    if (!errors.length) return renderOverride(key, override, lot, input);
+    console.error(
+      `Invalid ${key} template for lot ${lot.lot_code || lot.id}:`,
+      errors
+    );
+  }
+  return template.builtIn(input);
+}
+
+// ---------- admin endpoints ----------
+
+function requestLocale(value) {
+  return SUPPORTED_LOCALES.includes(value) ? value : null;
+}
+
+async function loadLot(lotId) {
+  const { data, error } = await supabase
+    .from("lots")
+    .select("*")
+    .eq("id", lotId)
+    .limit(1);
+
+  if (error) console.error("Error loading lot for template:", error);
+  return data && data[0] ? data[0] : null;
+}
+
+// A two-night booking starting today, with a made-up gate code
+function sampleInput(key, lot, locale) {
+  const lotVars = lotTemplateVars(lot, locale);
+  const start = todayIsoInZone(lot.time_zone);
+  const end = DateTime.fromISO(start).plus({ days: 2 }).toISODate();
+  const datesLine = formatDateRange(start, end);
+
+  const samples = {
+    payment_link: {
+      lotName: lotVars.lotName,
+      lotCode: lotVars.lotCode,
+      nights: 2,
+      totalCents: 2 * (lot.nightly_rate_cents || 2500),
+      url: "https://checkout.stripe.com/c/pay/cs_test_preview",
+      datesLine,
+      truckCount: 1,
+      locale,
+    },
+    confirmation: {
+      ...lotVars,
+      datesLine,
+      plate: "MT 7-ABC123",
+      accessCodeLines: lot.access_code_mode
+        ? [t(locale, "confirmAccessCode", { code: "1234" })]
+        : [],
+      locale,
+    },
+    review_nudge: {
+      firstName: "Jordan",
+      lotName: lotVars.lotName,
+      lotCode: lotVars.lotCode,
+      navigateUrl: buildNavigateLink(lot).url || "",
+      reviewUrl: lot.review_url || "https://g.page/r/your-lot/review",
+      locale,
+    },
+  };
+  return samples[key];
+}
+
+// PUT /admin/lots/:lotId/templates/:key  { locale, body }
+export async function saveLotTemplateHandler(req, res) {
+  const { lotId, key } = req.params;
+  const locale = requestLocale(req.body?.locale || DEFAULT_LOCALE);
+  if (!TEMPLATES[key]) {
+    return res.status(404).json({ ok: false, error: "unknown_template" });
+  }
+  if (!locale) {
+    return res.status(400).json({ ok: false, error: "unsupported_locale" });
+  }
+
+  const errors = validateTemplate(key, req.body?.body);
+  if (errors.length) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "invalid_template", errors });
+  }
+
+  const lot = await loadLot(lotId);
+  if (!lot) return res.status(404).json({ ok: false, error: "lot_not_found" });
+
+  const saved = await saveLotTemplate(lot.id, key, locale, req.body.body);
+  if (!saved) return res.status(500).json({ ok: false, error: "save_failed" });
+
+  return res.json({ ok: true, key, locale });
+}
+
+// DELETE /admin/lots/:lotId/templates/:key?locale=es – back to the built-in
+export async function deleteLotTemplateHandler(req, res) {
+  const { lotId, key } = req.params;
+  const locale = requestLocale(req.query.locale || DEFAULT_LOCALE);
+  if (!TEMPLATES[key]) {
+    return res.status(404).json({ ok: false, error: "unknown_template" });
+  }
+  if (!locale) {
+    return res.status(400).json({ ok: false, error: "unsupported_locale" });
+  }
+
+  const deleted = await deleteLotTemplate(lotId, key, locale);
+  if (!deleted) {
+    return res.status(500).json({ ok: false, error: "delete_failed" });
+  }
+
+  return res.json({ ok: true, key, locale });
+}
+
+/**
+ * POST /admin/lots/:lotId/templates/:key/preview  { locale, body? }
+ * Renders `body` (a draft), else the saved override, else the built-in
+ * against a sample booking at this lot, with its segment count as sent.
+ * A draft that fails validation (including an empty one) is a 400.
+ */
+export async function previewLotTemplateHandler(req, res) {
+  const { lotId, key } = req.params;
+  const locale = requestLocale(req.body?.locale || DEFAULT_LOCALE);
+  const template = TEMPLATES[key];
+  if (!template) {
+    return res.status(404).json({ ok: false, error: "unknown_template" });
+  }
+  if (!locale) {
+    return res.status(400).json({ ok: false, error: "unsupported_locale" });
+  }
+
+  const lot = await loadLot(lotId);
+  if (!lot) return res.status(404).json({ ok: false, error: "lot_not_found" });
+
+  const draft = req.body?.body;
+  const hasDraft = draft !== undefined && draft !== null;
+  const body = hasDraft ? draft : await getLotTemplate(lot.id, key, locale);
+  const errors = hasDraft || body ? validateTemplate(key, body) : [];
+  if (hasDraft && errors.length) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "invalid_template", errors });
+  }
+
+  const input = sampleInput(key, lot, locale);
+  const source =
+    !body || errors.length ? "default" : hasDraft ? "draft" : "saved";
+  const text =
+    source === "default"
+      ? template.builtIn(input)
+      : renderOverride(key, body, lot, input);
+
+  const parts = shapeMessage(PREVIEW_ADDRESS, text, template.messageType);
+  return res.json({
+    ok: true,
+    key,
+    locale,
+    source,
+    text,
+    ...countSegments(text),
+    // After GSM-7 transliteration and the message type's split / trim
+    sms: {
+      texts: parts.map((p) => p.body),
+      segments: parts.reduce((sum, p) => sum + p.meta.segment_count, 0),
+      costEstimateCents: parts.reduce(
+        (sum, p) => sum + p.meta.cost_estimate_cents,
+        0
+      ),
+    },
+    ...(errors.length ? { savedTemplateErrors: errors } : {}),
+  });
+}
@@ -0,0 +1,20 @@
+// utils/checkGsm7.js – every catalog string must survive the GSM-7 fallback
+//   npm run check:gsm7  → lists strings toGsm7 would turn into "?" (exit 1)
+import { catalogStrings } from "./messages.js";
+import { toGsm7 } from "./segments.js";
+
+const countMarks = (text) => (text.match(/\?/g) || []).length;
+
+const broken = catalogStrings().filter(
+  ({ text }) => countMarks(toGsm7(text)) > countMarks(String(text))
+);
+
+for (const { locale, key, text } of broken) {
+  console.log(`${locale}.${key}: ${JSON.stringify(toGsm7(text))}`);
+}
+
+if (broken.length > 0) {
+  console.log(`\n${broken.length} catalog string(s) lose characters in GSM-7`);
+  process.exit(1);
+}
+console.log("All catalog strings transliterate to GSM-7");
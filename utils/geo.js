@@ -0,0 +1,144 @@
+// utils/geo.js – points from ZIPs / coordinates / shared pins, and distances
+import "dotenv/config";
+import usZips from "us-zips";
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Lots further than this from the driver's point aren't worth listing
+export const NEARBY_MAX_MILES = Number(process.env.NEARBY_MAX_MILES || 150);
+
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+/**
+ * Straight-line (great-circle) distance in miles between two
+ * { latitude, longitude } points.
+ */
+export function distanceMiles(a, b) {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) *
+      Math.cos(toRadians(b.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+// "0.4", "7.5", "42" – one decimal only while it still matters
+export function formatMiles(miles) {
+  if (miles < 10) return (Math.round(miles * 10) / 10).toFixed(1);
+  return String(Math.round(miles));
+}
+
+function validPoint(latitude, longitude) {
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+}
+
+// ZIP centroid from the bundled offline table (us-zips)
+export function zipCentroid(zip) {
+  const hit = usZips[String(zip || "").slice(0, 5)];
+  return hit ? validPoint(hit.latitude, hit.longitude) : null;
+}
+
+// Decimal "lat,lng" pairs – plain text, "@45.6,-111.0,15z", "ll=45.6%2C-111.0"
+const coordsRe = /(-?\d{1,2}\.\d+)(?:\s*,\s*|[ \t]+)(-?\d{1,3}\.\d+)/;
+
+function pointFromText(text) {
+  let decoded = String(text || "");
+  try {
+    decoded = decodeURIComponent(decoded);
+  } catch {
+    // leave as-is – stray "%" in a plain text message
+  }
+
+  const m = decoded.match(coordsRe);
+  if (!m) return null;
+  return validPoint(parseFloat(m[1]), parseFloat(m[2]));
+}
+
+/**
+ * Point from typed text: a ZIP ("59715", "59715-1234") or coordinates
+ * (raw "45.67, -111.04" or a Google / Apple Maps link containing them).
+ * Returns { point, source } or null.
+ */
+export function parseLocationPoint(text) {
+  const raw = String(text || "").trim();
+  if (!raw) return null;
+
+  const coords = pointFromText(raw);
+  if (coords) return { point: coords, source: "coords" };
+
+  const zipMatch = raw.match(/^(?:zip\s*:?\s*)?(\d{5})(?:-\d{4})?$/i);
+  if (zipMatch) {
+    const centroid = zipCentroid(zipMatch[1]);
+    if (centroid) return { point: centroid, source: "zip" };
+  }
+
+  return null;
+}
+
+function isVcard(contentType) {
+  return /^text\/(x-)?vcard/i.test(String(contentType || ""));
+}
+
+// Media lives on Twilio's API host; anything else in the payload is not
+// ours to fetch, and must never see the account credentials.
+function isTwilioMediaUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "https:" && parsed.hostname === "api.twilio.com";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Point from a shared location in the Twilio payload. Some carriers pass
+ * Latitude/Longitude params; iPhones send the pin as a vCard attachment
+ * whose URL field is a maps.apple.com link. Returns { point, source } or null.
+ */
+export async function parseSharedLocation(rawPayload) {
+  if (!rawPayload) return null;
+
+  const direct = validPoint(
+    parseFloat(rawPayload.Latitude),
+    parseFloat(rawPayload.Longitude)
+  );
+  if (direct) return { point: direct, source: "pin" };
+
+  const numMedia = parseInt(rawPayload.NumMedia || "0", 10) || 0;
+
+  for (let i = 0; i < numMedia; i++) {
+    const url = rawPayload[`MediaUrl${i}`];
+    if (!url || !isVcard(rawPayload[`MediaContentType${i}`])) continue;
+    if (!isTwilioMediaUrl(url)) continue;
+
+    try {
+      const headers = {};
+      if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+        headers.Authorization =
+          "Basic " +
+          Buffer.from(
+            `${process.env.TWILIO_ACCOUNT_SID}:${process.env.TWILIO_AUTH_TOKEN}`
+          ).toString("base64");
+      }
+
+      const res = await fetch(url, {
+        headers,
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+      const point = pointFromText(await res.text());
+      if (point) return { point, source: "pin" };
+    } catch (err) {
+      console.error("Error reading shared location vCard:", err);
+    }
+  }
+
+  return null;
+}
@@ -1,36 +1,268 @@
 // utils/index.js
 import 'dotenv/config';
-import twilio from 'twilio';
 import { DateTime } from 'luxon';
-
-export const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+import { t, DEFAULT_LOCALE } from './messages.js';
+import {
+  logSms,
+  latestConversationId,
+  isOptedOut,
+  recordRateLimitHit,
+  getRateLimitState,
+  saveRateLimitState,
+} from '../db/db.js';
+import { deliver, channelForAddress } from '../sms/channels/index.js';
+import {
+  isGsm7,
+  toGsm7,
+  countSegments,
+  trimToSegments,
+  splitToSegments,
+} from './segments.js';
 
 // ----- Rate limiting -----
+//
+// Sliding window per address, stored in Supabase so every instance (and
+// every deploy) sees the same counts. Keyword commands and free text have
+// separate limits. Going over the limit is a strike: the address is muted
+// for RATE_LIMIT_MUTE_MINUTES, doubling with each strike (capped), and the
+// owner is alerted once when it reaches RATE_LIMIT_ALERT_STRIKES. Strikes
+// are forgotten after RATE_LIMIT_STRIKE_RESET_HOURS without a new one.
+//
+// Web chat session ids are chosen by the client, so a new one is a fresh
+// address; those messages are also counted per client IP, with room for
+// several drivers behind one network (RATE_LIMIT_WEB_CLIENT_MULTIPLIER).
 
-const rateLimitWindowMs = 60_000; // 1 minute
-const rateLimitMaxMessages = 10;
-const rateLimitMap = new Map();
+export const RATE_LIMITS = {
+  windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+  keyword: Number(process.env.RATE_LIMIT_KEYWORD_MAX || 6),
+  text: Number(process.env.RATE_LIMIT_TEXT_MAX || 12),
+  muteMinutes: Number(process.env.RATE_LIMIT_MUTE_MINUTES || 5),
+  maxMuteMinutes: Number(process.env.RATE_LIMIT_MAX_MUTE_MINUTES || 1440),
+  alertStrikes: Number(process.env.RATE_LIMIT_ALERT_STRIKES || 3),
+  strikeResetHours: Number(process.env.RATE_LIMIT_STRIKE_RESET_HOURS || 24),
+  webClientMultiplier: Number(
+    process.env.RATE_LIMIT_WEB_CLIENT_MULTIPLIER || 3
+  ),
+};
 
-export function isRateLimited(phone) {
-  if (!phone) return false;
+/**
+ * kind: 'keyword' | 'text'; multiplier scales the limits (shared keys such
+ * as a client IP). Returns { limited: false } or { limited: true, justMuted }
+ * – justMuted is true only for the message that triggered the mute (the one
+ * worth answering). Fails open.
+ */
+export async function checkRateLimit(address, kind, { multiplier = 1 } = {}) {
+  if (!address) return { limited: false };
 
   const now = Date.now();
-  const existing = rateLimitMap.get(phone);
+  const state = await getRateLimitState(address);
+
+  if (state && state.muted_until && new Date(state.muted_until).getTime() > now) {
+    return { limited: true, justMuted: false };
+  }
+
+  const count = await recordRateLimitHit(
+    address,
+    kind,
+    RATE_LIMITS.windowSeconds
+  );
+  const max =
+    (kind === 'keyword' ? RATE_LIMITS.keyword : RATE_LIMITS.text) * multiplier;
+  if (count === null || count <= max) return { limited: false };
+
+  const stale =
+    !state ||
+    !state.last_strike_at ||
+    now - new Date(state.last_strike_at).getTime() >
+      RATE_LIMITS.strikeResetHours * 3600_000;
+
+  const strikes = stale ? 1 : Number(state.strikes || 0) + 1;
+  const muteMinutes = Math.min(
+    RATE_LIMITS.muteMinutes * 2 ** (strikes - 1),
+    RATE_LIMITS.maxMuteMinutes
+  );
+  const alertedAt = stale ? null : state.alerted_at || null;
+  const shouldAlert = strikes >= RATE_LIMITS.alertStrikes && !alertedAt;
+
+  await saveRateLimitState(address, {
+    strikes,
+    last_strike_at: new Date(now).toISOString(),
+    muted_until: new Date(now + muteMinutes * 60_000).toISOString(),
+    alerted_at: shouldAlert ? new Date(now).toISOString() : alertedAt,
+  });
+
+  if (shouldAlert) {
+    await notifyOwnerAlert(
+      `Rate limit: ${address} muted ${strikes} times (now for ${muteMinutes} min).`
+    );
+  }
+
+  return { limited: true, justMuted: true };
+}
+
+// ----- Outbound SMS -----
+//
+// Every outbound text goes through sendSms so the opt-out registry is always
+// checked and every message lands in sms_messages; the address picks the
+// channel (SMS, WhatsApp, web chat – see sms/channels). Message classes:
+//   transactional – payment links, confirmations, support relays, offers;
+//                   sent if the registry can't be read
+//   marketing     – review nudges; held back unless we know they're opted in
+//   operator      – owner / operator alerts
+export const MESSAGE_CLASSES = ['transactional', 'marketing', 'operator'];
+
+// Segment budget per message type (SMS only – see utils/segments.js). Over
+// budget, 'split' sends several texts of at most maxSegments each and 'trim'
+// cuts the text short. Never trim anything carrying a gate code or a link
+// the driver needs.
+export const SEGMENT_BUDGETS = {
+  reply: { maxSegments: 4, overflow: 'split' },
+  confirmation: { maxSegments: 4, overflow: 'split' },
+  extension_confirmation: { maxSegments: 3, overflow: 'split' },
+  waitlist_offer: { maxSegments: 4, overflow: 'split' },
+  scheduler_notice: { maxSegments: 2, overflow: 'split' },
+  hold_expired: { maxSegments: 2, overflow: 'split' },
+  review_nudge: { maxSegments: 2, overflow: 'trim' },
+  support_relay: { maxSegments: 3, overflow: 'split' },
+  support_reply: { maxSegments: 3, overflow: 'split' },
+  owner_alert: { maxSegments: 2, overflow: 'trim' },
+  default: { maxSegments: 4, overflow: 'split' },
+};
+
+// SMS_TRANSLITERATE: 'auto' (swap to GSM-7 when it saves segments),
+// 'always' or 'never'
+const TRANSLITERATE = (process.env.SMS_TRANSLITERATE || 'auto').toLowerCase();
+
+// Estimates only – Twilio bills per segment (SMS) or per message (WhatsApp)
+const COST_CENTS = {
+  sms: Number(process.env.SMS_SEGMENT_COST_CENTS || 0.83),
+  whatsapp: Number(process.env.WHATSAPP_MESSAGE_COST_CENTS || 0.5),
+  web: 0,
+};
+
+function transliterateForSms(body) {
+  if (TRANSLITERATE === 'never' || isGsm7(body)) return body;
+
+  const gsm = toGsm7(body);
+  if (TRANSLITERATE === 'always') return gsm;
+  return countSegments(gsm).segments < countSegments(body).segments
+    ? gsm
+    : body;
+}
+
+/**
+ * The texts one message goes out as, each with its logging details:
+ * [{ body, meta: { message_type, segment_count, encoding,
+ * cost_estimate_cents } }]. Only SMS is transliterated / split / trimmed.
+ */
+export function shapeMessage(to, body, messageType = 'default') {
+  const channel = channelForAddress(to).name;
+  const value = String(body || '');
+
+  if (channel !== 'sms') {
+    return [
+      {
+        body: value,
+        meta: {
+          message_type: messageType,
+          segment_count: null,
+          encoding: null,
+          cost_estimate_cents: COST_CENTS[channel] ?? 0,
+        },
+      },
+    ];
+  }
+
+  const budget = SEGMENT_BUDGETS[messageType] || SEGMENT_BUDGETS.default;
+  const text = transliterateForSms(value);
+  const parts =
+    budget.overflow === 'trim'
+      ? [trimToSegments(text, budget.maxSegments)]
+      : splitToSegments(text, budget.maxSegments);
+
+  return parts.map((part) => {
+    const { encoding, segments } = countSegments(part);
+    return {
+      body: part,
+      meta: {
+        message_type: messageType,
+        segment_count: segments,
+        encoding,
+        cost_estimate_cents:
+          Math.round(segments * COST_CENTS.sms * 10000) / 10000,
+      },
+    };
+  });
+}
+
+/**
+ * Returns { sent: true, sid } or { sent: false, reason }; channel errors
+ * throw. messageType picks the segment budget; conversationId and redact
+ * (secrets masked in the log, e.g. gate codes) go to logSms.
+ */
+export async function sendSms({
+  to,
+  body,
+  messageClass = 'transactional',
+  messageType = 'default',
+  conversationId = null,
+  redact = [],
+}) {
+  if (!MESSAGE_CLASSES.includes(messageClass)) {
+    throw new Error(`Unknown message class: ${messageClass}`);
+  }
 
-  if (!existing || now - existing.start > rateLimitWindowMs) {
-    rateLimitMap.set(phone, { start: now, count: 1 });
-    return false;
+  const optedOut = await isOptedOut(to);
+  if (optedOut || (optedOut === null && messageClass === 'marketing')) {
+    console.log(`Not texting ${to} (${messageClass}): opted out`);
+    return { sent: false, reason: optedOut ? 'opted_out' : 'opt_out_unknown' };
   }
 
-  existing.count += 1;
-  if (existing.count > rateLimitMaxMessages) {
-    return true;
+  let firstSid = null;
+  for (const part of shapeMessage(to, body, messageType)) {
+    const { sid } = await deliver({ to, body: part.body });
+    firstSid = firstSid || sid;
+
+    await logSms(conversationId, to, 'outbound', part.body, null, {
+      redact,
+      meta: { ...part.meta, message_class: messageClass },
+    });
+  }
+  return { sent: true, sid: firstSid };
+}
+
+// A bot reply is plain text, or { text, redact } when it carries secrets
+// (gate codes) that must be masked wherever the reply is stored
+export function withRedactions(text, secrets) {
+  return { text, redact: secrets.filter(Boolean) };
+}
+
+export function unpackReply(reply) {
+  if (reply && typeof reply === 'object') {
+    return { text: reply.text || '', redact: reply.redact || [] };
   }
+  return { text: reply || '', redact: [] };
+}
+
+/**
+ * The bot's answer to an inbound message (TwiML / web chat response): shaped
+ * like any other text and logged against the driver's latest conversation.
+ * No opt-out check – STOP / START / HELP must always be answered. Returns
+ * the texts to render.
+ */
+export async function prepareReply(to, reply) {
+  const { text: body, redact } = unpackReply(reply);
+  if (!body) return [];
 
-  return false;
+  const parts = shapeMessage(to, body, 'reply');
+  const conversationId = await latestConversationId(to);
+  for (const part of parts) {
+    await logSms(conversationId, to, 'outbound', part.body, null, {
+      redact,
+      meta: { ...part.meta, message_class: 'transactional' },
+    });
+  }
+  return parts.map((part) => part.body);
 }
 
 // ----- Owner alerts -----
@@ -40,16 +272,37 @@ export async function notifyOwnerAlert(message) {
   if (!ownerPhone) return;
 
   try {
-    await twilioClient.messages.create({
-      from: process.env.TWILIO_PHONE_NUMBER,
+    await sendSms({
       to: ownerPhone,
       body: `[OpenYard Alert] ${message}`,
+      messageClass: 'operator',
+      messageType: 'owner_alert',
     });
   } catch (err) {
     console.error('Error sending owner alert:', err);
   }
 }
 
+// Lot-specific alerts (no-shows, …) go to the lot's own owner when set
+export async function notifyLotOwner(lot, message) {
+  if (!lot || !lot.owner_phone_e164) {
+    return notifyOwnerAlert(message);
+  }
+
+  try {
+    const { sent } = await sendSms({
+      to: lot.owner_phone_e164,
+      body: `[OpenYard] ${message}`,
+      messageClass: 'operator',
+      messageType: 'owner_alert',
+    });
+    if (!sent) await notifyOwnerAlert(`(lot owner opted out) ${message}`);
+  } catch (err) {
+    console.error('Error sending lot owner alert:', err);
+    await notifyOwnerAlert(`(lot owner unreachable) ${message}`);
+  }
+}
+
 // ----- Pricing -----
 
 export function computePricing(lot, stayType, nights) {
@@ -78,13 +331,291 @@ export function computePricing(lot, stayType, nights) {
   };
 }
 
+// ----- Time zones -----
+
+// Used whenever we need "today" before a lot (and its time_zone) is known
+export const DEFAULT_TIME_ZONE =
+  process.env.DEFAULT_TIME_ZONE || 'America/Denver';
+
+export function todayIsoInZone(tz) {
+  return DateTime.now()
+    .setZone(tz || DEFAULT_TIME_ZONE)
+    .toISODate();
+}
+
+// ----- Arrival dates -----
+
+export const MAX_ADVANCE_DAYS = Number(process.env.BOOKING_MAX_ADVANCE_DAYS || 60);
+
+const weekdayNumbers = {
+  MON: 1,
+  MONDAY: 1,
+  TUE: 2,
+  TUES: 2,
+  TUESDAY: 2,
+  WED: 3,
+  WEDNESDAY: 3,
+  THU: 4,
+  THUR: 4,
+  THURS: 4,
+  THURSDAY: 4,
+  FRI: 5,
+  FRIDAY: 5,
+  SAT: 6,
+  SATURDAY: 6,
+  SUN: 7,
+  SUNDAY: 7,
+  // Spanish
+  LUN: 1,
+  LUNES: 1,
+  MAR: 2,
+  MARTES: 2,
+  MIE: 3,
+  MIÉ: 3,
+  MIERCOLES: 3,
+  MIÉRCOLES: 3,
+  JUE: 4,
+  JUEVES: 4,
+  VIE: 5,
+  VIERNES: 5,
+  SAB: 6,
+  SÁB: 6,
+  SABADO: 6,
+  SÁBADO: 6,
+  DOM: 7,
+  DOMINGO: 7,
+};
+
+/**
+ * Parse a driver's arrival date reply into an ISO date (YYYY-MM-DD).
+ * Accepts TODAY/TONIGHT, TOMORROW, a weekday ("Fri" = the next Friday,
+ * or today if it is Friday) and M/D or M/D/YY dates, plus the Spanish
+ * HOY/MAÑANA/weekdays. "24/10" is read as D/M since 24 can't be a month.
+ *
+ * Returns { date } on success or { error: "past" | "too_far" | "invalid" }.
+ */
+export function parseArrivalDate(raw, tz) {
+  const cleaned = String(raw || '')
+    .trim()
+    .toUpperCase()
+    .replace(/[.,!]+$/g, '');
+  const today = DateTime.now()
+    .setZone(tz || DEFAULT_TIME_ZONE)
+    .startOf('day');
+
+  let dt = null;
+
+  if (['TODAY', 'TONIGHT', 'NOW', 'HOY', 'ESTA NOCHE'].includes(cleaned)) {
+    dt = today;
+  } else if (
+    ['TOMORROW', 'TMRW', 'TMR', 'TOMORROW NIGHT', 'MAÑANA', 'MANANA'].includes(
+      cleaned
+    )
+  ) {
+    dt = today.plus({ days: 1 });
+  } else if (weekdayNumbers[cleaned]) {
+    const diff = (weekdayNumbers[cleaned] - today.weekday + 7) % 7;
+    dt = today.plus({ days: diff });
+  } else {
+    const m = cleaned.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/);
+    if (!m) return { error: 'invalid' };
+
+    let month = Number(m[1]);
+    let day = Number(m[2]);
+    if (month > 12 && day <= 12) [month, day] = [day, month];
+    let year = m[3] ? Number(m[3]) : today.year;
+    if (year < 100) year += 2000;
+
+    dt = DateTime.fromObject({ year, month, day }, { zone: today.zone });
+    if (!dt.isValid) return { error: 'invalid' };
+
+    // "1/5" in late December means next January; "10/1" on 10/19 is a typo
+    if (!m[3] && dt < today) {
+      const rolled = dt.plus({ years: 1 });
+      if (rolled.diff(today, 'days').days > MAX_ADVANCE_DAYS) {
+        return { error: 'past' };
+      }
+      dt = rolled;
+    }
+  }
+
+  if (dt < today) return { error: 'past' };
+  if (dt.diff(today, 'days').days > MAX_ADVANCE_DAYS) return { error: 'too_far' };
+
+  return { date: dt.toISODate() };
+}
+
+export function formatArrivalDate(isoDate, locale = DEFAULT_LOCALE) {
+  const dt = DateTime.fromISO(isoDate || '').setLocale(
+    locale || DEFAULT_LOCALE
+  );
+  return dt.isValid ? dt.toFormat('ccc M/d') : String(isoDate || '');
+}
+
+// "tonight" when the arrival is today, otherwise "on Thu 10/24"
+export function arrivalNightLabel(isoDate, tz, locale = DEFAULT_LOCALE) {
+  if (!isoDate || isoDate === todayIsoInZone(tz)) return t(locale, 'tonight');
+  return t(locale, 'onDate', { date: formatArrivalDate(isoDate, locale) });
+}
+
+// ----- Refund policy -----
+
+// lots.refund_policy:
+//   full_before_check_in (default) – full refund until check-in on arrival day
+//   unused_nights – full before check-in, then prorated for nights not started
+//   none – no automatic refunds
+export const DEFAULT_REFUND_POLICY = 'full_before_check_in';
+const DEFAULT_CHECK_IN_TIME = '15:00';
+
+function checkInAt(lot, isoDate) {
+  const lotTz = (lot && lot.time_zone) || DEFAULT_TIME_ZONE;
+  const [h, m] = String((lot && lot.check_in_time) || DEFAULT_CHECK_IN_TIME)
+    .split(':')
+    .map((v) => Number(v) || 0);
+
+  return DateTime.fromISO(isoDate, { zone: lotTz }).set({
+    hour: h,
+    minute: m,
+  });
+}
+
+export function computeRefund(lot, booking, now = DateTime.now()) {
+  const policy = (lot && lot.refund_policy) || DEFAULT_REFUND_POLICY;
+  const paid = Number(booking.total_cents || 0);
+  const nights = Number(booking.nights || 1);
+
+  const beforeCheckIn = now < checkInAt(lot, booking.start_date);
+
+  let refundCents = 0;
+  if (policy === 'none') {
+    refundCents = 0;
+  } else if (beforeCheckIn) {
+    refundCents = paid;
+  } else if (policy === 'unused_nights') {
+    const start = DateTime.fromISO(booking.start_date);
+    let unused = 0;
+    for (let i = 0; i < nights; i++) {
+      const nightIso = start.plus({ days: i }).toISODate();
+      if (now < checkInAt(lot, nightIso)) unused += 1;
+    }
+    refundCents = Math.round((paid * unused) / nights);
+  }
+
+  return { policy, beforeCheckIn, refundCents };
+}
+
+// ----- Fleet bookings -----
+
+export const MAX_FLEET_TRUCKS = Number(process.env.FLEET_MAX_TRUCKS || 10);
+
+export function normalizePlate(plate) {
+  return String(plate || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+// Trucks added with ADD, then the one currently on the conversation
+export function conversationVehicles(conv) {
+  const added = Array.isArray(conv?.fleet_vehicles) ? conv.fleet_vehicles : [];
+  if (!conv?.license_plate_raw) return added;
+
+  return [
+    ...added,
+    {
+      truck_type: conv.truck_type,
+      truck_make_model: conv.truck_make_model,
+      license_plate_raw: conv.license_plate_raw,
+    },
+  ];
+}
+
 // ----- Review send time -----
 
-export function computeReviewSendAt(lot) {
-  const lotTz = (lot && lot.time_zone) || 'America/Denver';
+// 8pm lot time on the check-out day (end_date) – bookings can be paid days
+// or weeks ahead, so never count from the payment. Never earlier than 8pm
+// tomorrow.
+export function computeReviewSendAt(lot, endDate) {
+  const lotTz = (lot && lot.time_zone) || DEFAULT_TIME_ZONE;
 
   const nowLot = DateTime.now().setZone(lotTz);
   const nextDay8pmLot = nowLot.plus({ days: 1 }).startOf('day').plus({ hours: 20 });
 
-  return nextDay8pmLot.toUTC().toISO();
+  const checkout8pmLot = endDate
+    ? DateTime.fromISO(endDate, { zone: lotTz }).startOf('day').plus({ hours: 20 })
+    : null;
+
+  const sendAt =
+    checkout8pmLot && checkout8pmLot.isValid && checkout8pmLot > nextDay8pmLot
+      ? checkout8pmLot
+      : nextDay8pmLot;
+
+  return sendAt.toUTC().toISO();
+}
+
+// After a LEAVING check-out the nudge follows the real departure instead
+const REVIEW_DELAY_AFTER_CHECKOUT_MINUTES = Number(
+  process.env.REVIEW_DELAY_AFTER_CHECKOUT_MINUTES || 60
+);
+
+export function computeReviewSendAtAfterCheckout(checkedOutAtIso) {
+  return DateTime.fromISO(checkedOutAtIso)
+    .plus({ minutes: REVIEW_DELAY_AFTER_CHECKOUT_MINUTES })
+    .toUTC()
+    .toISO();
+}
+
+// ----- Delivery windows (scheduled_messages) -----
+
+// Allowed hours per message_type in lot time ([startHour, endHour)), and how
+// long past its due time a message may still go out before it's expired.
+// Deferring only moves send_at; due_at keeps the original time so a message
+// pushed window after window still goes stale.
+export const DELIVERY_WINDOWS = {
+  review_nudge: { startHour: 9, endHour: 21, maxLateHours: 48 },
+};
+const DEFAULT_DELIVERY_WINDOW = { startHour: 9, endHour: 20, maxLateHours: 24 };
+
+/**
+ * What to do with a due scheduled message right now:
+ *   { action: 'send' }
+ *   { action: 'defer', sendAt }  – quiet hours; sendAt is the next opening
+ *   { action: 'expire', reason } – too stale to be worth sending
+ */
+export function deliveryDecision(msg, lot, now = DateTime.now()) {
+  const window = DELIVERY_WINDOWS[msg.message_type] || DEFAULT_DELIVERY_WINDOW;
+  const latest = DateTime.fromISO(msg.due_at || msg.send_at).plus({
+    hours: window.maxLateHours,
+  });
+
+  if (now > latest) {
+    return { action: 'expire', reason: `more than ${window.maxLateHours}h late` };
+  }
+
+  const nowLot = now.setZone((lot && lot.time_zone) || DEFAULT_TIME_ZONE);
+  if (nowLot.hour >= window.startHour && nowLot.hour < window.endHour) {
+    return { action: 'send' };
+  }
+
+  let opening = nowLot.startOf('day').plus({ hours: window.startHour });
+  if (opening <= nowLot) opening = opening.plus({ days: 1 });
+
+  if (opening > latest) {
+    return { action: 'expire', reason: 'stale before the next delivery window' };
+  }
+
+  return { action: 'defer', sendAt: opening.toUTC().toISO() };
+}
+
+// ----- No-show alerts -----
+
+// lots.no_show_alert_hour (0–23, lot time) overrides the default
+export const DEFAULT_NO_SHOW_ALERT_HOUR = Number(
+  process.env.NO_SHOW_ALERT_HOUR || 22
+);
+
+export function isPastNoShowHour(lot, now = DateTime.now()) {
+  const hour =
+    lot && Number.isInteger(lot.no_show_alert_hour)
+      ? lot.no_show_alert_hour
+      : DEFAULT_NO_SHOW_ALERT_HOUR;
+  const nowLot = now.setZone((lot && lot.time_zone) || DEFAULT_TIME_ZONE);
+  return nowLot.hour >= hour;
 }
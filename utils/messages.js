@@ -0,0 +1,826 @@
+// utils/messages.js – driver-facing SMS copy, one catalog per locale
+//
+// Entries use {placeholders}; t() fills them from vars. Owner alerts and
+// console logs stay in English and do not belong here.
+
+export const DEFAULT_LOCALE = "en";
+export const SUPPORTED_LOCALES = ["en", "es"];
+
+const catalogs = {
+  en: {
+    // ---- generic / keywords ----
+    genericError:
+      "Oops, something went wrong. Please try again in a moment or text SUPPORT for help.",
+    invalidSender: "Invalid sender. Please try again.",
+    rateLimited:
+      "You’re sending messages too quickly, so replies are paused for a few minutes. Please try again later.",
+    demo:
+      "OpenYard demo – here’s what drivers see:\n\n" +
+      "1) Text BOOK\n" +
+      "2) Pick an arrival date\n" +
+      "3) Choose a lot\n" +
+      "4) Enter truck + plate + nights\n" +
+      "5) Pay securely by card\n" +
+      "6) Receive parking confirmation + instructions",
+    menu:
+      "OpenYard commands:\n" +
+      "BOOK – start a reservation\n" +
+      "EXTEND – add nights to your stay\n" +
+      "STATUS – see your bookings\n" +
+      "ARRIVED / LEAVING – check in / out\n" +
+      "RESET – start over\n" +
+      "CANCEL – cancel booking\n" +
+      "SUPPORT – talk to a human\n" +
+      "ESPAÑOL – mensajes en español",
+    help: "Text BOOK to start a reservation or SUPPORT for help.",
+    noConversation: "Text BOOK to start a reservation.",
+    flowCancelled:
+      "Your booking flow has been cancelled. You will not be charged.",
+    stopWithPaidBooking:
+      "Your booking flow has been stopped.\n" +
+      "Your paid booking ({startDate} to {endDate}) is still active. " +
+      "Text START, then CANCEL to cancel it.",
+    optedOut:
+      "You’re unsubscribed from OpenYard texts. Reply START to resubscribe.",
+    optedIn:
+      "You’re resubscribed to OpenYard texts. Text BOOK to start a reservation or MENU for options.",
+    resetDone: "All set. Text BOOK to start a new reservation.",
+    supportThanks:
+      "Thanks — you’re now texting with a person (ticket #{ticket}).\n" +
+      "Your messages go straight to them until they close the ticket.",
+    supportOpenError:
+      "We couldn’t reach support right now. Please try again in a moment.",
+    supportReply: "OpenYard support: {message}",
+    supportClosed:
+      "Support ticket #{ticket} is closed — you’re back with the OpenYard bot. Text MENU for options.",
+    supportNotConfigured:
+      "Support not configured yet. Please email alex@openyardpark.com.",
+    localeSet: "OK — we’ll text you in English from now on.",
+    commandsFooter: "\n\nCommands:\nBOOK = new booking\nSUPPORT = help",
+
+    // ---- starting flows ----
+    bookStartError: "We couldn’t start a booking right now. Please try again.",
+    cancelStartError:
+      "We couldn’t cancel your booking right now. Please try again or text SUPPORT.",
+    extendNoBooking:
+      "We couldn’t find a current booking to extend. Text BOOK to start a new reservation.",
+    extendStartError:
+      "We couldn’t extend your booking right now. Please try again.",
+    extendPrompt:
+      "Your stay currently ends {endDate}.\n" +
+      "How many extra nights do you need? (1–30)",
+
+    // ---- arrival date ----
+    arrivalPrompt:
+      "When are you arriving?\n" +
+      'Reply TODAY, TOMORROW, a day (e.g. "FRI") or a date (e.g. "10/24").\n\n' +
+      "Reply STOP to opt out.",
+    arrivalPast:
+      "That date has already passed. Reply TODAY, TOMORROW, a day (e.g. FRI) or a date (e.g. 10/24).",
+    arrivalTooFar:
+      "We can only book up to {maxDays} days ahead. Reply with an earlier date.",
+    arrivalInvalid:
+      'When are you arriving? Reply TODAY, TOMORROW, a day (e.g. "FRI") or a date (e.g. "10/24").',
+    arrivalQuestion:
+      "When are you arriving?\n" +
+      'Reply TODAY, TOMORROW, a day (e.g. "FRI") or a date (e.g. "10/24").',
+    arrivalConfirmed: "Arriving {date}.",
+    tonight: "tonight",
+    onDate: "on {date}",
+
+    // ---- location / lot choice ----
+    wherePrompt:
+      "Where do you want to park?\n" +
+      "Reply with a city/state, ZIP, lot code, or share your location.",
+    noLotsFound:
+      "I couldn't find any available lots near that.\n" +
+      'Try a city and state (e.g. "Bozeman MT"), a ZIP, or share your location.',
+    lotSoldOut:
+      "Sorry — {lotLabel} is sold out {nightLabel}.\n\n" +
+      "Try another city/state, or text SUPPORT.",
+    lotIntro: "You’re booking: {lotLabel}.",
+    milesAway: " ({miles} mi away)",
+    spotsLeft: "Spots left {nightLabel}: {count}",
+    lotListHeader: "I found these lots:",
+    lotListLeft: " • {count} left",
+    lotListMiles: " • {miles} mi",
+    lotListFooter: "Reply with a number.",
+    lotChoiceInvalid: "Reply with a valid number from the list.",
+    lotChoiceOutOfRange: "Please choose a valid number.",
+    lotChoiceExpired: "That list of lots is out of date.",
+    lotChoiceUnavailable:
+      "That lot isn’t taking bookings right now.\n" +
+      "Reply with a different number from the list, or text SUPPORT.",
+    lotChoiceSoldOut:
+      "That lot is sold out {nightLabel}.\n" +
+      "Reply with a different number from the list, or text SUPPORT.",
+
+    // ---- driver + truck ----
+    profileConfirmPrompt:
+      "Same truck as last time: {makeModel}, {plate}?\nReply YES or EDIT.",
+    profileConfirmRetry:
+      "Reply YES to use the same truck, or EDIT to enter new details.",
+    profileLoadFailed:
+      "We couldn’t load your saved details. What’s your first and last name?",
+    namePrompt: "What’s your first and last name?",
+    nameInvalid: "Please send your full name.",
+    truckTypePrompt:
+      "What are you parking?\n" +
+      "1 = Semi\n" +
+      "2 = Bobtail\n" +
+      "3 = Hotshot\n" +
+      "4 = Other\n" +
+      "Reply with a number.",
+    truckTypeInvalid: "Reply 1, 2, 3, or 4.",
+    makeModelPrompt: 'Truck make & model? (e.g. "Freightliner Cascadia")',
+    makeModelInvalid: "Please send truck make & model.",
+    platePrompt: 'Plate (state + number)? (e.g. "MT 7-XYZ456")',
+    plateInvalid: "Please send a valid license plate.",
+    plateDuplicate:
+      "That plate is already on this booking. Send the plate for this truck.",
+
+    // ---- stay length ----
+    stayOptionPrompt:
+      "How long are you staying?\n" +
+      "1 = 1 night\n" +
+      "2 = 7 nights\n" +
+      "3 = 30 nights\n" +
+      "4 = Other\n" +
+      "Reply with a number.",
+    stayOptionInvalid: "Reply 1–4.",
+    customNightsPrompt: "How many nights?",
+    customNightsInvalid: "Enter 1–90 nights.",
+
+    // ---- summary ----
+    summaryLoadError:
+      "We couldn't build your summary. Try again in a moment or text SUPPORT for help.",
+    summaryLotError:
+      "We couldn't load the lot details. Try again shortly or text SUPPORT for help.",
+    summaryHeader: "Here’s your booking:",
+    summaryLot: "• Lot: {lotLabel}",
+    summarySpotsLeft: "• Spots left {nightLabel}: {count}",
+    summaryMinSpots: "• Min spots during stay: {count}",
+    summaryName: "• Name: {name}",
+    summaryTruck: "• Truck: {truckType} – {makeModel}",
+    summaryPlate: "• Plate: {plate}",
+    summaryTrucks: "• Trucks ({count}):",
+    summaryFleetTruck: "   {index}) {truckType} – {makeModel} • {plate}",
+    summaryArriving: "• Arriving: {date}",
+    summaryStay: "• Stay: {nights} night(s) ({datesLine})",
+    summaryConfirm:
+      "Reply YES to get your payment link, ADD to add another truck, EDIT to change something, or NO to cancel.",
+    editOptions:
+      "What do you want to change?\n" +
+      "Reply EDIT PLATE, EDIT NAME, EDIT TRUCK, EDIT NIGHTS, EDIT LOT or EDIT DATE.",
+    fleetAddPrompt: "Truck #{number} — let’s get its details.",
+    fleetMax:
+      "You can book up to {max} trucks at once.\n" +
+      "Reply YES to get your payment link, or text SUPPORT for larger fleets.",
+    summaryCancelled: "No problem, booking cancelled.",
+
+    // ---- payment ----
+    paymentAlreadySent:
+      "Your payment link was already sent.\n" +
+      "Complete payment to confirm, or text RESET to start over.",
+    paymentLinkIssue:
+      "We tried to find your payment link but ran into an issue.\n" +
+      "Text RESET to start a fresh booking.",
+    paymentSnag:
+      "We hit a snag trying to find your payment.\n" +
+      "Your card has not been charged. Text RESET to start over.",
+    paymentAlreadyConfirmed:
+      "Your booking is already confirmed and paid.\n" +
+      "Dates: {datesLine}\n" +
+      "Plate: {plate}",
+    paymentReopenFailed:
+      "We could not re-open your payment link.\n" +
+      "Text RESET to start a new booking.",
+    paymentReopenError:
+      "We had trouble re-opening your payment link.\n" +
+      "Your card has not been charged. Text RESET to start over.",
+    paymentLinkResend: "Here’s your secure payment link:\n{url}",
+    holdExpired:
+      "Your hold at {lotName} ({datesLine}) expired before payment, so the stall was released. " +
+      "Your card has not been charged.\nReply BOOK to start over.",
+    holdPaymentFailed:
+      "Your payment for {lotName} ({datesLine}) didn’t go through, so the stall was released.\n" +
+      "Reply BOOK to try again.",
+    extendLinkExpired:
+      "Your extension link for {lotName} expired. Your current booking is unchanged.\n" +
+      "Reply EXTEND to get a new link.",
+    bookingCreateError: "We couldn't create your booking. Please try again.",
+    bookingLotNotFound: "We couldn't find that lot. Try again.",
+    bookingArrivalPassed:
+      "Your arrival date ({date}) has already passed.\nReply BOOK to start over.",
+    bookingSoldOut:
+      "That lot is sold out for your dates ({datesLine}).\n" +
+      "Reply BOOK to start over, or reply SUPPORT for help.",
+    bookingNotEnoughSpots:
+      "Only {count} spot(s) left at that lot for your dates ({datesLine}) — not enough for {trucks} trucks.\n" +
+      "Reply BOOK to start over with fewer trucks, or reply SUPPORT for help.",
+    payLinkHeader: "OpenYard — secure payment link",
+    payLinkDates: "Dates: {datesLine}",
+    trucksTimes: "{count} trucks × ",
+    nightsOne: "{nights} night",
+    nightsMany: "{nights} nights",
+    extraNightsOne: "{nights} extra night",
+    extraNightsMany: "{nights} extra nights",
+    payLinkFooter: "Need help? Reply SUPPORT.",
+
+    // ---- confirmation ----
+    confirmHeader: "✅ Booking confirmed!",
+    confirmDates: "Dates: {datesLine}",
+    confirmPlate: "Plate: {plate}",
+    confirmPlates: "Plates: {plates}",
+    confirmAccessCode: "Gate code: {code}",
+    confirmAccessCodeDaily: "Gate code for {date}: {code}",
+    confirmAccessCodeItem: "Gate code {plate}: {code}",
+    confirmAccessCodeRotates:
+      "The code changes daily – text ARRIVED or STATUS for the current one.",
+    confirmAccessCodeMissing:
+      "Gate code: not available yet – text STATUS later or reply SUPPORT.",
+    confirmAddress: "Address: {address}",
+    confirmNavigate: "Navigate: {url}",
+    confirmGps: "GPS: {gps}",
+    confirmInstructionsHeader: "Special instructions:",
+    defaultInstructions: "Park in marked truck stalls.",
+    confirmKeep: "Keep this text for your records.",
+    confirmSupport: "Reply SUPPORT if you need help.",
+
+    // ---- status ----
+    statusNone:
+      "You don’t have any current or upcoming bookings.\nText BOOK to start a reservation.",
+    statusStartError:
+      "We couldn’t load your bookings right now. Please try again.",
+    statusHeader: "Your bookings:",
+    statusItem:
+      "{index}) {lotName}\n" +
+      "   {datesLine} • Plate: {plate} • {paymentStatus}\n" +
+      "   Navigate: {url}",
+    statusPaid: "Paid",
+    statusAwaitingPayment: "Awaiting payment",
+    statusFooter: "Reply with a number to get the full confirmation again.",
+    statusChoiceInvalid: "Reply with a number from the list.",
+    statusNotPaid:
+      "That booking isn’t paid yet. Use the payment link we sent, or text BOOK to start over.",
+    statusBookingGone:
+      "We couldn’t find that booking anymore. Text STATUS to see your bookings.",
+
+    // ---- check-in / check-out ----
+    arrivedNoBooking:
+      "We couldn’t find a paid booking for today.\nText STATUS to see your bookings.",
+    arrivedTooEarly:
+      "Your booking starts {date}. Text ARRIVED when you get there that day.",
+    arrivedAlready: "You’re already checked in. Text LEAVING when you head out.",
+    arrivedThanks:
+      "✅ Checked in at {lotName}. Text LEAVING when you head out.",
+    stallPrompt: "Which stall did you take? (Reply SKIP to skip)",
+    stallInvalid: "Send the stall number (e.g. 12 or B4), or SKIP.",
+    stallSaved: "Got it — stall {stall}. Drive safe!",
+    stallSkipped: "No problem. Drive safe!",
+    leavingNoBooking:
+      "We couldn’t find a booking to check out of today.\nText STATUS to see your bookings.",
+    leavingThanks: "👋 Checked out of {lotName}. Thanks for parking with OpenYard!",
+
+    // ---- waitlist ----
+    waitlistHint: "Reply WAITLIST to get a text if a spot opens up.",
+    waitlistNothing:
+      "There’s no sold-out lot to waitlist for right now.\nText BOOK to start a reservation.",
+    waitlistStartError:
+      "We couldn’t add you to the waitlist right now. Please try again.",
+    waitlistJoined:
+      "You’re on the waitlist for {lotName} {nightLabel} (#{position} in line).\n" +
+      "We’ll text you if a spot opens up. Text STOP to leave the list.",
+    waitlistAlready:
+      "You’re already on the waitlist for {lotName} {nightLabel}. We’ll text you if a spot opens up.",
+    waitlistOffer:
+      "Good news — a spot opened up at {lotName} {nightLabel}!\n" +
+      "Finish booking within {minutes} minutes to claim it.",
+    waitlistOfferExpired:
+      "Your waitlist offer for {lotName} has expired and the spot went to the next driver.\n" +
+      "Text BOOK to try again.",
+
+    // ---- extension ----
+    extendNightsInvalid: "How many extra nights? Enter 1–30.",
+    extendReloadError: "We couldn't extend your booking. Please try again.",
+    extendBookingNotFound:
+      "We couldn't find a paid booking to extend.\n" +
+      "Text BOOK to start a new reservation, or SUPPORT for help.",
+    extendSoldOut:
+      "Sorry — {lotName} is sold out for {datesLine}.\n" +
+      "Reply EXTEND to try fewer nights, or SUPPORT for help.",
+    extendConfirmedHeader: "✅ Stay extended!",
+    extendSoldOutRefunded:
+      "Sorry — {lotName} filled up for {datesLine} before your payment came through, so we couldn't add the nights.\n" +
+      "Your {amount} payment has been refunded. Your current booking is unchanged.",
+    extendStaleRefunded:
+      "That payment link for extra nights at {lotName} was out of date – your booking changed after it was sent.\n" +
+      "Your {amount} payment has been refunded. Text STATUS to see your booking.",
+
+    // ---- cancellation ----
+    cancelQuote:
+      "Cancel your booking at {lotName} ({datesLine})?\n" +
+      "{platesLine}{refundLine}\n\n" +
+      "Reply YES to cancel or NO to keep it.",
+    refundFull: "You'll get a full refund of {amount}.",
+    refundPartial:
+      "You'll be refunded {amount} for the nights you haven't started.",
+    refundNoneNoPolicy: "This lot doesn't offer refunds, so no refund applies.",
+    refundNonePastCheckIn: "Check-in time has passed, so no refund applies.",
+    cancelKept: "No problem, your booking is still on.",
+    cancelConfirmRetry: "Reply YES to cancel your booking, or NO to keep it.",
+    cancelNotFound:
+      "We couldn't find an active paid booking to cancel. Reply SUPPORT for help.",
+    cancelRefundFailed:
+      "We couldn't process your refund automatically.\n" +
+      "Your booking is still active. A human will follow up shortly.",
+    cancelDone: "Your booking at {lotName} ({datesLine}) is cancelled.",
+    cancelRefunded:
+      "Refund: {amount} back to your card (allow 5–10 business days).",
+    cancelNoRefund: "No refund applies under this lot's cancellation policy.",
+
+    // ---- scheduled ----
+    defaultFirstName: "driver",
+    reviewNudge:
+      "Hey {firstName} — quick favor? " +
+      "If you have 15 seconds, please leave a review for {lotLabel}. " +
+      "{navigateLine}" +
+      "Review: {reviewUrl} " +
+      "Safe travels.",
+    reviewNavigate: "Navigate: {url} ",
+  },
+
+  es: {
+    // ---- generic / keywords ----
+    genericError:
+      "Uy, algo salió mal. Intenta de nuevo en un momento o escribe SOPORTE para ayuda.",
+    invalidSender: "Remitente inválido. Intenta de nuevo.",
+    rateLimited:
+      "Estás enviando mensajes muy rápido, así que pausamos las respuestas unos minutos. Intenta de nuevo más tarde.",
+    demo:
+      "Demo de OpenYard – esto es lo que ven los conductores:\n\n" +
+      "1) Escribe RESERVAR\n" +
+      "2) Elige la fecha de llegada\n" +
+      "3) Elige un estacionamiento\n" +
+      "4) Envía camión + placa + noches\n" +
+      "5) Paga con tarjeta de forma segura\n" +
+      "6) Recibe la confirmación + instrucciones",
+    menu:
+      "Comandos de OpenYard:\n" +
+      "RESERVAR – nueva reservación\n" +
+      "EXTENDER – agregar noches a tu estadía\n" +
+      "ESTADO – ver tus reservaciones\n" +
+      "LLEGUE / SALIENDO – registrar llegada / salida\n" +
+      "REINICIAR – empezar de nuevo\n" +
+      "CANCELAR – cancelar reservación\n" +
+      "SOPORTE – hablar con una persona\n" +
+      "ENGLISH – messages in English",
+    help: "Escribe RESERVAR para hacer una reservación o SOPORTE para ayuda.",
+    noConversation: "Escribe RESERVAR para hacer una reservación.",
+    flowCancelled: "Tu reservación fue cancelada. No se te cobrará nada.",
+    stopWithPaidBooking:
+      "Detuvimos tu proceso de reservación.\n" +
+      "Tu reservación pagada ({startDate} a {endDate}) sigue activa. " +
+      "Escribe START y luego CANCELAR para cancelarla.",
+    optedOut:
+      "Ya no recibirás mensajes de OpenYard. Responde START para volver a suscribirte.",
+    optedIn:
+      "Volviste a recibir mensajes de OpenYard. Escribe RESERVAR para hacer una reservación o MENÚ para ver opciones.",
+    resetDone: "Listo. Escribe RESERVAR para hacer una nueva reservación.",
+    supportThanks:
+      "Gracias — ahora estás hablando con una persona (ticket #{ticket}).\n" +
+      "Tus mensajes le llegan directamente hasta que cierre el ticket.",
+    supportOpenError:
+      "No pudimos contactar a soporte. Intenta de nuevo en un momento.",
+    supportReply: "Soporte OpenYard: {message}",
+    supportClosed:
+      "El ticket #{ticket} está cerrado — vuelves con el asistente de OpenYard. Escribe MENÚ para ver opciones.",
+    supportNotConfigured:
+      "El soporte aún no está configurado. Escribe a alex@openyardpark.com.",
+    localeSet: "Listo — desde ahora te escribiremos en español.",
+    commandsFooter:
+      "\n\nComandos:\nRESERVAR = nueva reservación\nSOPORTE = ayuda",
+
+    // ---- starting flows ----
+    bookStartError:
+      "No pudimos iniciar tu reservación en este momento. Intenta de nuevo.",
+    cancelStartError:
+      "No pudimos cancelar tu reservación en este momento. Intenta de nuevo o escribe SOPORTE.",
+    extendNoBooking:
+      "No encontramos una reservación actual para extender. Escribe RESERVAR para hacer una nueva.",
+    extendStartError:
+      "No pudimos extender tu reservación en este momento. Intenta de nuevo.",
+    extendPrompt:
+      "Tu estadía termina el {endDate}.\n" +
+      "¿Cuántas noches extra necesitas? (1–30)",
+
+    // ---- arrival date ----
+    arrivalPrompt:
+      "¿Cuándo llegas?\n" +
+      'Responde HOY, MAÑANA, un día (ej. "VIE") o una fecha (ej. "10/24").\n\n' +
+      "Responde STOP para no recibir mensajes.",
+    arrivalPast:
+      "Esa fecha ya pasó. Responde HOY, MAÑANA, un día (ej. VIE) o una fecha (ej. 10/24).",
+    arrivalTooFar:
+      "Solo podemos reservar hasta {maxDays} días por adelantado. Responde con una fecha más cercana.",
+    arrivalInvalid:
+      '¿Cuándo llegas? Responde HOY, MAÑANA, un día (ej. "VIE") o una fecha (ej. "10/24").',
+    arrivalQuestion:
+      "¿Cuándo llegas?\n" +
+      'Responde HOY, MAÑANA, un día (ej. "VIE") o una fecha (ej. "10/24").',
+    arrivalConfirmed: "Llegada: {date}.",
+    tonight: "esta noche",
+    onDate: "el {date}",
+
+    // ---- location / lot choice ----
+    wherePrompt:
+      "¿Dónde quieres estacionarte?\n" +
+      "Responde con ciudad/estado, código postal o código del estacionamiento, o comparte tu ubicación.",
+    noLotsFound:
+      "No encontré estacionamientos disponibles cerca de ahí.\n" +
+      'Prueba con ciudad y estado (ej. "Bozeman MT"), un código postal o comparte tu ubicación.',
+    lotSoldOut:
+      "Lo siento — {lotLabel} está lleno {nightLabel}.\n\n" +
+      "Prueba otra ciudad/estado, o escribe SOPORTE.",
+    lotIntro: "Estás reservando: {lotLabel}.",
+    milesAway: " (a {miles} mi)",
+    spotsLeft: "Lugares disponibles {nightLabel}: {count}",
+    lotListHeader: "Encontré estos estacionamientos:",
+    lotListLeft: " • quedan {count}",
+    lotListMiles: " • {miles} mi",
+    lotListFooter: "Responde con un número.",
+    lotChoiceInvalid: "Responde con un número válido de la lista.",
+    lotChoiceOutOfRange: "Elige un número válido.",
+    lotChoiceExpired: "Esa lista de estacionamientos ya no está vigente.",
+    lotChoiceUnavailable:
+      "Ese estacionamiento no está aceptando reservaciones ahora.\n" +
+      "Responde con otro número de la lista, o escribe SOPORTE.",
+    lotChoiceSoldOut:
+      "Ese estacionamiento está lleno {nightLabel}.\n" +
+      "Responde con otro número de la lista, o escribe SOPORTE.",
+
+    // ---- driver + truck ----
+    profileConfirmPrompt:
+      "¿El mismo camión que la última vez: {makeModel}, {plate}?\nResponde SI o EDITAR.",
+    profileConfirmRetry:
+      "Responde SI para usar el mismo camión, o EDITAR para enviar datos nuevos.",
+    profileLoadFailed:
+      "No pudimos cargar tus datos guardados. ¿Cuál es tu nombre y apellido?",
+    namePrompt: "¿Cuál es tu nombre y apellido?",
+    nameInvalid: "Envía tu nombre completo.",
+    truckTypePrompt:
+      "¿Qué vas a estacionar?\n" +
+      "1 = Semi (tractocamión)\n" +
+      "2 = Bobtail (tractor solo)\n" +
+      "3 = Hotshot\n" +
+      "4 = Otro\n" +
+      "Responde con un número.",
+    truckTypeInvalid: "Responde 1, 2, 3 o 4.",
+    makeModelPrompt: '¿Marca y modelo del camión? (ej. "Freightliner Cascadia")',
+    makeModelInvalid: "Envía la marca y modelo del camión.",
+    platePrompt: '¿Placa (estado + número)? (ej. "MT 7-XYZ456")',
+    plateInvalid: "Envía una placa válida.",
+    plateDuplicate:
+      "Esa placa ya está en esta reservación. Envía la placa de este camión.",
+
+    // ---- stay length ----
+    stayOptionPrompt:
+      "¿Cuánto tiempo te quedas?\n" +
+      "1 = 1 noche\n" +
+      "2 = 7 noches\n" +
+      "3 = 30 noches\n" +
+      "4 = Otro\n" +
+      "Responde con un número.",
+    stayOptionInvalid: "Responde 1–4.",
+    customNightsPrompt: "¿Cuántas noches?",
+    customNightsInvalid: "Escribe de 1 a 90 noches.",
+
+    // ---- summary ----
+    summaryLoadError:
+      "No pudimos preparar tu resumen. Intenta en un momento o escribe SOPORTE para ayuda.",
+    summaryLotError:
+      "No pudimos cargar los datos del estacionamiento. Intenta pronto o escribe SOPORTE para ayuda.",
+    summaryHeader: "Tu reservación:",
+    summaryLot: "• Estacionamiento: {lotLabel}",
+    summarySpotsLeft: "• Lugares disponibles {nightLabel}: {count}",
+    summaryMinSpots: "• Mínimo de lugares durante la estadía: {count}",
+    summaryName: "• Nombre: {name}",
+    summaryTruck: "• Camión: {truckType} – {makeModel}",
+    summaryPlate: "• Placa: {plate}",
+    summaryTrucks: "• Camiones ({count}):",
+    summaryFleetTruck: "   {index}) {truckType} – {makeModel} • {plate}",
+    summaryArriving: "• Llegada: {date}",
+    summaryStay: "• Estadía: {nights} noche(s) ({datesLine})",
+    summaryConfirm:
+      "Responde SI para recibir tu enlace de pago, AGREGAR para añadir otro camión, EDITAR para cambiar algo, o NO para cancelar.",
+    editOptions:
+      "¿Qué quieres cambiar?\n" +
+      "Responde EDITAR PLACA, EDITAR NOMBRE, EDITAR CAMION, EDITAR NOCHES, EDITAR LOTE o EDITAR FECHA.",
+    fleetAddPrompt: "Camión #{number} — vamos con sus datos.",
+    fleetMax:
+      "Puedes reservar hasta {max} camiones a la vez.\n" +
+      "Responde SI para recibir tu enlace de pago, o escribe SOPORTE para flotillas más grandes.",
+    summaryCancelled: "Sin problema, reservación cancelada.",
+
+    // ---- payment ----
+    paymentAlreadySent:
+      "Ya te enviamos tu enlace de pago.\n" +
+      "Completa el pago para confirmar, o escribe REINICIAR para empezar de nuevo.",
+    paymentLinkIssue:
+      "Intentamos encontrar tu enlace de pago pero hubo un problema.\n" +
+      "Escribe REINICIAR para empezar una nueva reservación.",
+    paymentSnag:
+      "Tuvimos un problema al buscar tu pago.\n" +
+      "No se ha hecho ningún cargo a tu tarjeta. Escribe REINICIAR para empezar de nuevo.",
+    paymentAlreadyConfirmed:
+      "Tu reservación ya está confirmada y pagada.\n" +
+      "Fechas: {datesLine}\n" +
+      "Placa: {plate}",
+    paymentReopenFailed:
+      "No pudimos reabrir tu enlace de pago.\n" +
+      "Escribe REINICIAR para hacer una nueva reservación.",
+    paymentReopenError:
+      "Tuvimos problemas para reabrir tu enlace de pago.\n" +
+      "No se ha hecho ningún cargo a tu tarjeta. Escribe REINICIAR para empezar de nuevo.",
+    paymentLinkResend: "Aquí está tu enlace de pago seguro:\n{url}",
+    holdExpired:
+      "Tu apartado en {lotName} ({datesLine}) venció antes del pago, así que liberamos el lugar. " +
+      "No se ha hecho ningún cargo a tu tarjeta.\nResponde RESERVAR para empezar de nuevo.",
+    holdPaymentFailed:
+      "Tu pago para {lotName} ({datesLine}) no se completó, así que liberamos el lugar.\n" +
+      "Responde RESERVAR para intentarlo de nuevo.",
+    extendLinkExpired:
+      "Tu enlace para extender tu estadía en {lotName} venció. Tu reservación actual no cambió.\n" +
+      "Responde EXTENDER para recibir un nuevo enlace.",
+    bookingCreateError: "No pudimos crear tu reservación. Intenta de nuevo.",
+    bookingLotNotFound: "No encontramos ese estacionamiento. Intenta de nuevo.",
+    bookingArrivalPassed:
+      "Tu fecha de llegada ({date}) ya pasó.\nResponde RESERVAR para empezar de nuevo.",
+    bookingSoldOut:
+      "Ese estacionamiento está lleno para tus fechas ({datesLine}).\n" +
+      "Responde RESERVAR para empezar de nuevo, o SOPORTE para ayuda.",
+    bookingNotEnoughSpots:
+      "Solo quedan {count} lugar(es) en ese estacionamiento para tus fechas ({datesLine}) — no alcanzan para {trucks} camiones.\n" +
+      "Responde RESERVAR para empezar de nuevo con menos camiones, o SOPORTE para ayuda.",
+    payLinkHeader: "OpenYard — enlace de pago seguro",
+    payLinkDates: "Fechas: {datesLine}",
+    trucksTimes: "{count} camiones × ",
+    nightsOne: "{nights} noche",
+    nightsMany: "{nights} noches",
+    extraNightsOne: "{nights} noche extra",
+    extraNightsMany: "{nights} noches extra",
+    payLinkFooter: "¿Necesitas ayuda? Responde SOPORTE.",
+
+    // ---- confirmation ----
+    confirmHeader: "✅ ¡Reservación confirmada!",
+    confirmDates: "Fechas: {datesLine}",
+    confirmPlate: "Placa: {plate}",
+    confirmPlates: "Placas: {plates}",
+    confirmAccessCode: "Código de acceso: {code}",
+    confirmAccessCodeDaily: "Código de acceso para el {date}: {code}",
+    confirmAccessCodeItem: "Código de acceso {plate}: {code}",
+    confirmAccessCodeRotates:
+      "El código cambia cada día – escribe LLEGUE o ESTADO para el actual.",
+    confirmAccessCodeMissing:
+      "Código de acceso: aún no disponible – escribe ESTADO más tarde o responde SOPORTE.",
+    confirmAddress: "Dirección: {address}",
+    confirmNavigate: "Navegar: {url}",
+    confirmGps: "GPS: {gps}",
+    confirmInstructionsHeader: "Instrucciones especiales:",
+    defaultInstructions: "Estaciónate en los espacios marcados para camiones.",
+    confirmKeep: "Guarda este mensaje como comprobante.",
+    confirmSupport: "Responde SOPORTE si necesitas ayuda.",
+
+    // ---- status ----
+    statusNone:
+      "No tienes reservaciones actuales ni próximas.\nEscribe RESERVAR para hacer una reservación.",
+    statusStartError:
+      "No pudimos cargar tus reservaciones en este momento. Intenta de nuevo.",
+    statusHeader: "Tus reservaciones:",
+    statusItem:
+      "{index}) {lotName}\n" +
+      "   {datesLine} • Placa: {plate} • {paymentStatus}\n" +
+      "   Navegar: {url}",
+    statusPaid: "Pagada",
+    statusAwaitingPayment: "Pago pendiente",
+    statusFooter: "Responde con un número para recibir de nuevo la confirmación completa.",
+    statusChoiceInvalid: "Responde con un número de la lista.",
+    statusNotPaid:
+      "Esa reservación aún no está pagada. Usa el enlace de pago que te enviamos, o escribe RESERVAR para empezar de nuevo.",
+    statusBookingGone:
+      "Ya no encontramos esa reservación. Escribe ESTADO para ver tus reservaciones.",
+
+    // ---- check-in / check-out ----
+    arrivedNoBooking:
+      "No encontramos una reservación pagada para hoy.\nEscribe ESTADO para ver tus reservaciones.",
+    arrivedTooEarly:
+      "Tu reservación empieza {date}. Escribe LLEGUE cuando llegues ese día.",
+    arrivedAlready: "Ya registraste tu llegada. Escribe SALIENDO cuando te vayas.",
+    arrivedThanks:
+      "✅ Llegada registrada en {lotName}. Escribe SALIENDO cuando te vayas.",
+    stallPrompt: "¿Qué lugar tomaste? (Responde SALTAR para omitir)",
+    stallInvalid: "Envía el número de lugar (ej. 12 o B4), o SALTAR.",
+    stallSaved: "Listo — lugar {stall}. ¡Buen viaje!",
+    stallSkipped: "Sin problema. ¡Buen viaje!",
+    leavingNoBooking:
+      "No encontramos una reservación para registrar tu salida hoy.\nEscribe ESTADO para ver tus reservaciones.",
+    leavingThanks: "👋 Salida registrada de {lotName}. ¡Gracias por estacionarte con OpenYard!",
+
+    // ---- waitlist ----
+    waitlistHint:
+      "Responde ESPERA para recibir un mensaje si se libera un lugar.",
+    waitlistNothing:
+      "No hay un estacionamiento lleno en lista de espera ahora.\nEscribe RESERVAR para hacer una reservación.",
+    waitlistStartError:
+      "No pudimos agregarte a la lista de espera ahora. Intenta de nuevo.",
+    waitlistJoined:
+      "Estás en la lista de espera de {lotName} {nightLabel} (#{position} en la fila).\n" +
+      "Te avisaremos si se libera un lugar. Escribe STOP para salir de la lista.",
+    waitlistAlready:
+      "Ya estás en la lista de espera de {lotName} {nightLabel}. Te avisaremos si se libera un lugar.",
+    waitlistOffer:
+      "¡Buenas noticias! Se liberó un lugar en {lotName} {nightLabel}.\n" +
+      "Completa tu reservación en los próximos {minutes} minutos para tomarlo.",
+    waitlistOfferExpired:
+      "Tu oferta de la lista de espera para {lotName} expiró y el lugar pasó al siguiente conductor.\n" +
+      "Escribe RESERVAR para intentar de nuevo.",
+
+    // ---- extension ----
+    extendNightsInvalid: "¿Cuántas noches extra? Escribe de 1 a 30.",
+    extendReloadError: "No pudimos extender tu reservación. Intenta de nuevo.",
+    extendBookingNotFound:
+      "No encontramos una reservación pagada para extender.\n" +
+      "Escribe RESERVAR para hacer una nueva, o SOPORTE para ayuda.",
+    extendSoldOut:
+      "Lo siento — {lotName} está lleno para {datesLine}.\n" +
+      "Responde EXTENDER para intentar con menos noches, o SOPORTE para ayuda.",
+    extendConfirmedHeader: "✅ ¡Estadía extendida!",
+    extendSoldOutRefunded:
+      "Lo siento — {lotName} se llenó para {datesLine} antes de que llegara tu pago, así que no pudimos agregar las noches.\n" +
+      "Te reembolsamos {amount}. Tu reservación actual no cambió.",
+    extendStaleRefunded:
+      "Ese enlace de pago para noches extra en {lotName} ya no era válido – tu reservación cambió después de enviarlo.\n" +
+      "Te reembolsamos {amount}. Escribe ESTADO para ver tu reservación.",
+
+    // ---- cancellation ----
+    cancelQuote:
+      "¿Cancelar tu reservación en {lotName} ({datesLine})?\n" +
+      "{platesLine}{refundLine}\n\n" +
+      "Responde SI para cancelar o NO para mantenerla.",
+    refundFull: "Recibirás un reembolso completo de {amount}.",
+    refundPartial:
+      "Te reembolsaremos {amount} por las noches que no has empezado.",
+    refundNoneNoPolicy:
+      "Este estacionamiento no ofrece reembolsos, así que no aplica reembolso.",
+    refundNonePastCheckIn:
+      "Ya pasó la hora de llegada, así que no aplica reembolso.",
+    cancelKept: "Sin problema, tu reservación sigue activa.",
+    cancelConfirmRetry:
+      "Responde SI para cancelar tu reservación, o NO para mantenerla.",
+    cancelNotFound:
+      "No encontramos una reservación pagada activa para cancelar. Responde SOPORTE para ayuda.",
+    cancelRefundFailed:
+      "No pudimos procesar tu reembolso automáticamente.\n" +
+      "Tu reservación sigue activa. Una persona te contactará pronto.",
+    cancelDone: "Tu reservación en {lotName} ({datesLine}) fue cancelada.",
+    cancelRefunded:
+      "Reembolso: {amount} a tu tarjeta (puede tardar de 5 a 10 días hábiles).",
+    cancelNoRefund:
+      "No aplica reembolso según la política de cancelación de este estacionamiento.",
+
+    // ---- scheduled ----
+    defaultFirstName: "conductor",
+    reviewNudge:
+      "Hola {firstName} — ¿nos haces un favor? " +
+      "Si tienes 15 segundos, deja una reseña de {lotLabel}. " +
+      "{navigateLine}" +
+      "Reseña: {reviewUrl} " +
+      "Buen viaje.",
+    reviewNavigate: "Navegar: {url} ",
+  },
+};
+
+// Spanish keywords map onto the English commands the handlers switch on
+const commandAliases = {
+  RESERVAR: "BOOK",
+  AYUDA: "HELP",
+  SOPORTE: "SUPPORT",
+  CANCELAR: "CANCEL",
+  REINICIAR: "RESET",
+  EXTENDER: "EXTEND",
+  ESTADO: "STATUS",
+  ESPERA: "WAITLIST",
+  LLEGUE: "ARRIVED",
+  "LLEGUÉ": "ARRIVED",
+  "CHECK IN": "ARRIVED",
+  CHECKIN: "ARRIVED",
+  ARRIVE: "ARRIVED",
+  SALIENDO: "LEAVING",
+  "ME VOY": "LEAVING",
+  "CHECK OUT": "LEAVING",
+  CHECKOUT: "LEAVING",
+  LEFT: "LEAVING",
+  SALTAR: "SKIP",
+  "LISTA DE ESPERA": "WAITLIST",
+  "WAIT LIST": "WAITLIST",
+  "MY BOOKINGS": "STATUS",
+  BOOKINGS: "STATUS",
+  "MIS RESERVAS": "STATUS",
+  RESERVAS: "STATUS",
+  "MENÚ": "MENU",
+  SI: "YES",
+  "SÍ": "YES",
+  EDITAR: "EDIT",
+  PAGAR: "PAY",
+  AGREGAR: "ADD",
+  ENLACE: "LINK",
+  "ESPAÑOL": "ESPANOL",
+  SPANISH: "ESPANOL",
+  INGLES: "ENGLISH",
+  "INGLÉS": "ENGLISH",
+};
+
+const spanishOnlyCommands = new Set([
+  "RESERVAR",
+  "AYUDA",
+  "SOPORTE",
+  "CANCELAR",
+  "REINICIAR",
+  "EXTENDER",
+  "ESTADO",
+  "ESPERA",
+  "LLEGUE",
+  "LLEGUÉ",
+  "SALIENDO",
+  "ME VOY",
+  "SALTAR",
+  "LISTA DE ESPERA",
+  "MIS RESERVAS",
+  "RESERVAS",
+  "EDITAR",
+  "PAGAR",
+  "AGREGAR",
+  "ENLACE",
+]);
+
+const spanishWordsRe =
+  /\b(HOLA|NECESITO|QUIERO|ESTACIONAMIENTO|ESTACIONAR|NOCHES?|GRACIAS|CAMI[OÓ]N|BUENAS|BUENOS|RESERVACI[OÓ]N|LUGAR)\b|[¿¡ñÑ]/i;
+
+export function normalizeLocale(locale) {
+  return SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+}
+
+export function normalizeCommand(text) {
+  const upper = String(text || "").trim().replace(/\s+/g, " ").toUpperCase();
+  return commandAliases[upper] || upper;
+}
+
+// Explicit language keyword, or a best guess from a first message (null = no signal)
+export function detectLocale(text) {
+  const upper = String(text || "").trim().toUpperCase();
+  const command = normalizeCommand(upper);
+
+  if (command === "ESPANOL") return "es";
+  if (command === "ENGLISH") return "en";
+  if (spanishOnlyCommands.has(upper)) return "es";
+  if (spanishWordsRe.test(upper)) return "es";
+
+  return null;
+}
+
+export function fillPlaceholders(template, vars = {}) {
+  return String(template).replace(/\{(\w+)\}/g, (_, name) =>
+    vars[name] === undefined || vars[name] === null ? "" : String(vars[name])
+  );
+}
+
+// Every catalog string as { locale, key, text } (npm run check:gsm7)
+export function catalogStrings() {
+  return Object.entries(catalogs).flatMap(([locale, catalog]) =>
+    Object.entries(catalog).map(([key, text]) => ({ locale, key, text }))
+  );
+}
+
+export function t(locale, key, vars) {
+  const catalog = catalogs[normalizeLocale(locale)];
+  const template = catalog[key] ?? catalogs[DEFAULT_LOCALE][key];
+
+  if (template === undefined) {
+    console.warn("Missing message key:", key);
+    return key;
+  }
+
+  return fillPlaceholders(template, vars);
+}
+
+export function nightsText(locale, nights, { extra = false } = {}) {
+  const n = Number(nights);
+  const key = extra
+    ? n === 1
+      ? "extraNightsOne"
+      : "extraNightsMany"
+    : n === 1
+    ? "nightsOne"
+    : "nightsMany";
+  return t(locale, key, { nights: n });
+}
@@ -0,0 +1,164 @@
+// utils/segments.js – SMS segment math (GSM-7 vs UCS-2) and fitting text to it
+//
+// One non-GSM character ("✅", curly quotes, "á") switches the whole text to
+// UCS-2: 70 characters per segment instead of 160, 67 instead of 153 once
+// the message is split.
+
+const GSM7_BASIC =
+  "@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !\"#¤%&'()*+,-./0123456789:;<=>?" +
+  "¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà";
+// Escape-prefixed: each costs two septets
+const GSM7_EXTENDED = "^{}\\[~]|€\f";
+
+const gsm7Basic = new Set(GSM7_BASIC);
+const gsm7Extended = new Set(GSM7_EXTENDED);
+
+const LIMITS = {
+  "GSM-7": { single: 160, multi: 153 },
+  "UCS-2": { single: 70, multi: 67 },
+};
+
+export function isGsm7(text) {
+  for (const ch of String(text || "")) {
+    if (!gsm7Basic.has(ch) && !gsm7Extended.has(ch)) return false;
+  }
+  return true;
+}
+
+function gsm7Units(text) {
+  let units = 0;
+  for (const ch of text) units += gsm7Extended.has(ch) ? 2 : 1;
+  return units;
+}
+
+/**
+ * { encoding: "GSM-7" | "UCS-2", units, segments } – units are septets for
+ * GSM-7 and UTF-16 code units for UCS-2 (an emoji takes two).
+ */
+export function countSegments(text) {
+  const value = String(text || "");
+  const encoding = isGsm7(value) ? "GSM-7" : "UCS-2";
+  const units = encoding === "GSM-7" ? gsm7Units(value) : value.length;
+  const { single, multi } = LIMITS[encoding];
+  const segments = units === 0 ? 0 : units <= single ? 1 : Math.ceil(units / multi);
+  return { encoding, units, segments };
+}
+
+const replacements = {
+  "‘": "'", "’": "'", "‚": "'", "′": "'",
+  "“": '"', "”": '"', "„": '"', "″": '"',
+  "–": "-", "—": "-", "‒": "-", "−": "-",
+  "…": "...", "•": "-", "·": "-", "→": "->", "⇢": "->", "×": "x",
+  "\u00a0": " ", "\u2009": " ", "\u200b": "",
+  "✅": "", "👋": "", "⚠": "", "✓": "", "✔": "",
+};
+
+/**
+ * Closest GSM-7 text: typographic quotes/dashes to ASCII, accents dropped
+ * where GSM-7 lacks the letter (á → a, but é / ñ stay), decorative emoji
+ * removed, anything else left over becomes "?".
+ */
+export function toGsm7(text) {
+  let out = "";
+  let dropSpace = false;
+
+  for (const ch of String(text || "")) {
+    // "✅ Booking" → "Booking", not " Booking"
+    if (dropSpace && ch === " ") {
+      dropSpace = false;
+      continue;
+    }
+    dropSpace = false;
+
+    if (gsm7Basic.has(ch) || gsm7Extended.has(ch)) {
+      out += ch;
+    } else if (ch in replacements) {
+      out += replacements[ch];
+      dropSpace = replacements[ch] === "";
+    } else if (ch === "\ufe0f") {
+      // emoji variation selector
+      dropSpace = true;
+    } else {
+      const base = ch.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+      out += base && isGsm7(base) ? base : "?";
+    }
+  }
+  return out;
+}
+
+/**
+ * Cut text to at most maxSegments, ending in an ellipsis when anything
+ * was removed.
+ */
+export function trimToSegments(text, maxSegments) {
+  const value = String(text || "");
+  if (countSegments(value).segments <= maxSegments) return value;
+
+  const ellipsis = isGsm7(value) ? "..." : "…";
+  let lo = 0;
+  let hi = value.length;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    const candidate = value.slice(0, mid).trimEnd() + ellipsis;
+    if (countSegments(candidate).segments <= maxSegments) lo = mid;
+    else hi = mid - 1;
+  }
+  return value.slice(0, lo).trimEnd() + ellipsis;
+}
+
+/**
+ * Break text into messages of at most maxSegments each – at blank lines
+ * where possible, then single lines, then wherever it has to.
+ */
+export function splitToSegments(text, maxSegments) {
+  const value = String(text || "");
+  if (countSegments(value).segments <= maxSegments) return [value];
+
+  const fits = (t) => countSegments(t).segments <= maxSegments;
+  const parts = [];
+  let current = "";
+
+  const pushPiece = (piece, joiner) => {
+    const joined = current ? current + joiner + piece : piece;
+    if (fits(joined)) {
+      current = joined;
+      return true;
+    }
+    if (current) parts.push(current);
+    current = "";
+    if (fits(piece)) {
+      current = piece;
+      return true;
+    }
+    return false;
+  };
+
+  for (const paragraph of value.split(/\n{2,}/)) {
+    if (pushPiece(paragraph, "\n\n")) continue;
+
+    for (const line of paragraph.split("\n")) {
+      if (pushPiece(line, "\n")) continue;
+
+      // One line longer than the budget – hard cut
+      let rest = line;
+      while (rest) {
+        if (fits(rest)) {
+          current = rest;
+          break;
+        }
+        const head = trimToSegments(rest, maxSegments);
+        const cut = head.endsWith("...")
+          ? head.length - 3
+          : head.endsWith("…")
+            ? head.length - 1
+            : head.length;
+        const size = Math.max(1, cut);
+        parts.push(rest.slice(0, size));
+        rest = rest.slice(size).trimStart();
+      }
+    }
+  }
+  if (current) parts.push(current);
+
+  return parts;
+}